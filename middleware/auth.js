@@ -1,5 +1,17 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { getActiveSession } = require('../utils/tokens');
+
+// Resolve the user and session an access token belongs to. Returns null once
+// the session is revoked; throws if the token itself is invalid.
+const authenticateToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  const session = await getActiveSession(decoded.sid);
+  if (!session || session.userId.toString() !== decoded.userId) return null;
+
+  const user = await User.findById(decoded.userId).select('-password');
+  return user ? { user, session } : null;
+};
 
 const auth = async (req, res, next) => {
   try {
@@ -9,14 +21,21 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'No token provided, authorization denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-password');
+    const authenticated = await authenticateToken(token);
     
-    if (!user) {
+    if (!authenticated) {
       return res.status(401).json({ message: 'Token is not valid' });
     }
 
+    const { user, session } = authenticated;
+
+    if (!user.isActive) {
+      return res.status(403).json({ message: 'Account is deactivated' });
+    }
+
     req.user = user;
+    req.sessionId = session._id.toString();
+    req.mfaVerified = session.mfa;
     next();
   } catch (error) {
     res.status(401).json({ message: 'Token is not valid' });
@@ -32,4 +51,20 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { auth, authorize };
+// Block actions that need a confirmed email address
+const requireVerified = (req, res, next) => {
+  if (!req.user.isEmailVerified()) {
+    return res.status(403).json({ message: 'Please verify your email address to continue' });
+  }
+  next();
+};
+
+// Users with two-factor enabled must have passed it in this session
+const requireTwoFactor = (req, res, next) => {
+  if (req.user.twoFactor && req.user.twoFactor.enabled && !req.mfaVerified) {
+    return res.status(403).json({ message: 'Sign in again with two-factor authentication to continue' });
+  }
+  next();
+};
+
+module.exports = { auth, authorize, requireVerified, requireTwoFactor, authenticateToken };
@@ -1,5 +1,34 @@
 const mongoose = require('mongoose');
 
+// Allowed status changes; accepted, rejected and withdrawn are final
+const STATUS_TRANSITIONS = {
+  pending: ['shortlisted', 'interviewing', 'accepted', 'rejected', 'withdrawn', 'removed'],
+  shortlisted: ['interviewing', 'accepted', 'rejected', 'withdrawn', 'removed'],
+  interviewing: ['shortlisted', 'accepted', 'rejected', 'withdrawn', 'removed'],
+  accepted: [],
+  rejected: [],
+  withdrawn: [],
+  removed: []
+};
+
+// A superseded version of the bid terms
+const bidRevisionSchema = new mongoose.Schema({
+  bidAmount: Number,
+  deliveryTime: Number,
+  message: String,
+  attachments: [{
+    url: String,
+    filename: String
+  }],
+  submittedAt: Date,
+  replacedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false
+});
+
 const bidSchema = new mongoose.Schema({
   freelancerId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -26,13 +55,31 @@ const bidSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'rejected'],
+    enum: Object.keys(STATUS_TRANSITIONS),
     default: 'pending'
   },
+  // Optional explanation shown to the freelancer when a bid is rejected
+  rejectionReason: {
+    type: String,
+    default: ''
+  },
+  statusChangedAt: Date,
+  // Set on bids rejected because their job was cancelled, so reopening the
+  // job can put them back in front of the client
+  closedWithJob: Boolean,
+  // Set when an admin takes the bid down
+  removedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  removalReason: String,
   attachments: [{
     url: String,
     filename: String
-  }]
+  }],
+  // Earlier versions of the bid, oldest first
+  revisions: [bidRevisionSchema],
+  lastRevisedAt: Date
 }, {
   timestamps: true
 });
@@ -40,4 +87,12 @@ const bidSchema = new mongoose.Schema({
 // Ensure one bid per freelancer per job
 bidSchema.index({ freelancerId: 1, jobId: 1 }, { unique: true });
 
+// Check whether the bid may move to a new status
+bidSchema.methods.canTransitionTo = function(status) {
+  return STATUS_TRANSITIONS[this.status].includes(status);
+};
+
+// Statuses a job owner still has to decide on
+bidSchema.statics.OPEN_STATUSES = ['pending', 'shortlisted', 'interviewing'];
+
 module.exports = mongoose.model('Bid', bidSchema);
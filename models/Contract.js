@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const milestoneSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  order: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['proposed', 'agreed', 'funded', 'delivered', 'approved', 'released', 'refunded'],
+    default: 'proposed'
+  },
+  // Party that proposed the current terms; the other party must approve them
+  proposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  agreedAt: Date,
+  fundedAt: Date,
+  deliveredAt: Date,
+  approvedAt: Date,
+  releasedAt: Date,
+  // Times the client sent submitted work back, capped by the contract's revisionLimit
+  revisionsRequested: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+const contractSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true,
+    unique: true
+  },
+  bidId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bid',
+    required: true
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  freelancerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  milestones: [milestoneSchema],
+  // Change requests the client may make per milestone, agreed at hire time
+  revisionLimit: {
+    type: Number,
+    default: 2,
+    min: 0,
+    max: 10
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'cancelled'],
+    default: 'active'
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+contractSchema.index({ clientId: 1 });
+contractSchema.index({ freelancerId: 1 });
+
+contractSchema.virtual('totalAmount').get(function() {
+  return this.milestones.reduce((sum, milestone) => sum + milestone.amount, 0);
+});
+
+contractSchema.set('toJSON', { virtuals: true });
+
+// Check whether a user is one of the two contract parties
+contractSchema.methods.isParty = function(userId) {
+  return this.clientId.toString() === userId.toString() ||
+    this.freelancerId.toString() === userId.toString();
+};
+
+// A contract is finished once every milestone is settled and at least one
+// was paid out; fully refunded milestones count as settled
+contractSchema.methods.allMilestonesSettled = function() {
+  return this.milestones.some(milestone => milestone.status === 'released') &&
+    this.milestones.every(milestone => ['released', 'refunded'].includes(milestone.status));
+};
+
+module.exports = mongoose.model('Contract', contractSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  freelancerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastMessage: {
+    text: String,
+    senderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: Date
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Messages each party has not read yet
+  clientUnread: {
+    type: Number,
+    default: 0
+  },
+  freelancerUnread: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// One conversation per job and freelancer
+conversationSchema.index({ jobId: 1, freelancerId: 1 }, { unique: true });
+conversationSchema.index({ clientId: 1, lastMessageAt: -1 });
+conversationSchema.index({ freelancerId: 1, lastMessageAt: -1 });
+
+// Check whether a user is one of the two conversation parties
+conversationSchema.methods.isParticipant = function(userId) {
+  return this.clientId.toString() === userId.toString() ||
+    this.freelancerId.toString() === userId.toString();
+};
+
+// Unread counter field for the given participant
+conversationSchema.methods.unreadFieldFor = function(userId) {
+  return this.clientId.toString() === userId.toString() ? 'clientUnread' : 'freelancerUnread';
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  filename: String,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const disputeMessageSchema = new mongoose.Schema({
+  senderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 5000
+  },
+  attachments: [attachmentSchema]
+}, {
+  timestamps: true
+});
+
+const disputeSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  contractId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contract',
+    required: true
+  },
+  // Escrowed payments frozen by this dispute
+  paymentIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  }],
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  freelancerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    enum: ['work_not_delivered', 'quality_issues', 'scope_disagreement', 'payment_issue', 'communication', 'other']
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 5000
+  },
+  evidence: [attachmentSchema],
+  messages: [disputeMessageSchema],
+  // open: waiting on the other party; under_review: waiting on an admin;
+  // resolving: ruled on, with payouts still being carried out
+  status: {
+    type: String,
+    enum: ['open', 'under_review', 'resolving', 'resolved', 'withdrawn'],
+    default: 'open'
+  },
+  respondBy: {
+    type: Date,
+    required: true
+  },
+  respondedAt: Date,
+  escalatedAt: Date,
+  ruling: {
+    outcome: {
+      type: String,
+      enum: ['refund', 'release', 'split']
+    },
+    // Amounts paid out to each side; a refund or release puts everything on one side
+    clientAmount: Number,
+    freelancerAmount: Number,
+    notes: String,
+    ruledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    ruledAt: Date,
+    // Refunds and releases the ruling calls for, each marked once it has
+    // gone through so a failed run can be picked up where it stopped
+    steps: [{
+      _id: false,
+      paymentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment',
+        required: true
+      },
+      action: {
+        type: String,
+        enum: ['refund', 'release'],
+        required: true
+      },
+      amount: Number,
+      // Set once a refund step's refund has been issued
+      razorpayRefundId: String,
+      attempts: {
+        type: Number,
+        default: 0
+      },
+      lastError: String,
+      completedAt: Date
+    }],
+    appliedAt: Date
+  },
+  closedAt: Date
+}, {
+  timestamps: true
+});
+
+disputeSchema.index({ jobId: 1, status: 1 });
+disputeSchema.index({ status: 1, respondBy: 1 });
+disputeSchema.index({ clientId: 1 });
+disputeSchema.index({ freelancerId: 1 });
+
+// Check whether a user is the client or freelancer in the dispute
+disputeSchema.methods.isParty = function(userId) {
+  return this.clientId.toString() === userId.toString() ||
+    this.freelancerId.toString() === userId.toString();
+};
+
+// The party that has to respond to the dispute
+disputeSchema.methods.respondentId = function() {
+  return this.openedBy.toString() === this.clientId.toString() ? this.freelancerId : this.clientId;
+};
+
+disputeSchema.methods.isActive = function() {
+  return ['open', 'under_review'].includes(this.status);
+};
+
+module.exports = mongoose.model('Dispute', disputeSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const emailLogSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  variables: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  subject: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    default: 'queued'
+  },
+  // One entry per delivery attempt, successful or not
+  attempts: [{
+    attemptedAt: {
+      type: Date,
+      default: Date.now
+    },
+    success: Boolean,
+    messageId: String,
+    error: String
+  }],
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+emailLogSchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model('EmailLog', emailLogSchema);
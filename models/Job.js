@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 
+// Legal status changes. A cancelled job can only reopen while unassigned and
+// not taken down by an admin; a disputed job leaves that state through the
+// dispute ruling.
+const STATUS_TRANSITIONS = {
+  open: ['in_progress', 'paused', 'cancelled'],
+  paused: ['open', 'cancelled'],
+  in_progress: ['completed', 'cancelled', 'disputed'],
+  disputed: ['in_progress', 'completed', 'cancelled'],
+  completed: [],
+  cancelled: ['open']
+};
+
 const jobSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -48,9 +60,31 @@ const jobSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['open', 'in_progress', 'completed', 'cancelled'],
+    enum: Object.keys(STATUS_TRANSITIONS),
     default: 'open'
   },
+  // Every status change with who made it (empty for system changes)
+  statusHistory: [{
+    from: String,
+    to: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  cancellationReason: String,
+  // Set when an admin takes the job down; taken down jobs can't be reopened
+  takenDownAt: Date,
+  takenDownBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  takedownReason: String,
   assignedTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -58,7 +92,8 @@ const jobSchema = new mongoose.Schema({
   bidsCount: {
     type: Number,
     default: 0
-  }
+  },
+  completedAt: Date
 }, {
   timestamps: true
 });
@@ -68,4 +103,30 @@ jobSchema.index({ title: 'text', description: 'text' });
 jobSchema.index({ category: 1 });
 jobSchema.index({ createdAt: -1 });
 
+// Check whether the job may move to a new status
+jobSchema.methods.canTransitionTo = function(status) {
+  if (!STATUS_TRANSITIONS[this.status].includes(status)) return false;
+  if (this.status === 'cancelled' && status === 'open' && (this.assignedTo || this.takenDownAt)) return false;
+  return true;
+};
+
+// Change status and record the transition; the caller saves the job
+jobSchema.methods.transitionTo = function(status, changedBy, reason) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot change job status from ${this.status} to ${status}`);
+  }
+
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    changedBy: changedBy || undefined,
+    reason
+  });
+  this.status = status;
+
+  if (status === 'completed') {
+    this.completedAt = new Date();
+  }
+};
+
 module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+  conversationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  senderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['text', 'attachment'],
+    default: 'text'
+  },
+  text: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  attachments: [{
+    url: String,
+    filename: String
+  }]
+}, {
+  timestamps: true
+});
+
+messageSchema.index({ conversationId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: [
+      'bid_received', 'bid_updated', 'bid_shortlisted', 'bid_interviewing', 'bid_withdrawn',
+      'bid_accepted', 'bid_rejected',
+      'job_cancelled', 'job_removed', 'bid_removed',
+      'submission_received', 'submission_approved', 'submission_changes_requested',
+      'payment_received', 'payment_captured', 'payment_refunded',
+      'dispute_opened', 'dispute_message', 'dispute_escalated', 'dispute_resolved',
+      'review_received',
+      'job_alert'
+    ]
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  // Ids and details the frontend needs to link to the related resource
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, read: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
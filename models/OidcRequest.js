@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A sign-in or account link started with an OpenID Connect provider and
+// waiting for the provider to redirect back. Consumed by the callback.
+const oidcRequestSchema = new mongoose.Schema({
+  // SHA-256 of the `state` parameter sent to the provider
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  intent: {
+    type: String,
+    enum: ['login', 'link'],
+    required: true
+  },
+  // Account the provider is being linked to
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  // PKCE verifier, never sent through the browser
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  redirectUri: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Abandoned requests are removed by MongoDB
+oidcRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcRequest', oidcRequestSchema);
@@ -1,11 +1,49 @@
 const mongoose = require('mongoose');
 
+// Orders that can still be captured. Razorpay lets a failed attempt be
+// retried on the same order, so a failed order is still open.
+const OPEN_STATUSES = ['created', 'failed'];
+
+const refundSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  initiatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  razorpayRefundId: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processed', 'failed'],
+    default: 'pending'
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
 const paymentSchema = new mongoose.Schema({
   jobId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Job',
     required: true
   },
+  contractId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contract'
+  },
+  milestoneId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
   payerId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -33,9 +71,49 @@ const paymentSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['created', 'paid', 'failed', 'refunded'],
+    enum: ['created', 'paid', 'failed', 'partially_refunded', 'refunded'],
     default: 'created'
   },
+  refunds: [refundSchema],
+  amountRefunded: {
+    type: Number,
+    default: 0
+  },
+  // Escrow lifecycle: funded when captured, held once work is delivered and
+  // the review window starts, then released to the freelancer or refunded
+  escrowStatus: {
+    type: String,
+    enum: ['pending', 'funded', 'held', 'released', 'refunded'],
+    default: 'pending'
+  },
+  fundedAt: Date,
+  heldAt: Date,
+  autoReleaseAt: Date,
+  releasedAt: Date,
+  releasedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  releaseType: {
+    type: String,
+    enum: ['manual', 'auto']
+  },
+  // Set while a dispute covers this payment; frozen funds can't be released
+  // or refunded until an admin rules on the dispute
+  frozen: {
+    type: Boolean,
+    default: false
+  },
+  disputeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dispute'
+  },
+  // Captured for a milestone that was already paid for, or on a contract
+  // that had ended. Refunded to the payer and kept off the milestone.
+  orphaned: {
+    type: Boolean,
+    default: false
+  },
   description: {
     type: String,
     default: ''
@@ -44,4 +122,22 @@ const paymentSchema = new mongoose.Schema({
   timestamps: true
 });
 
+paymentSchema.index({ escrowStatus: 1, autoReleaseAt: 1 });
+paymentSchema.index({ razorpayPaymentId: 1 });
+// At most one open order per milestone
+paymentSchema.index({ milestoneId: 1 }, {
+  unique: true,
+  partialFilterExpression: { status: { $in: OPEN_STATUSES }, milestoneId: { $exists: true } }
+});
+
+// Amount still available to refund, counting refunds that are in flight
+paymentSchema.virtual('refundableAmount').get(function() {
+  return Math.max(this.amount - (this.amountRefunded || 0), 0);
+});
+
+paymentSchema.set('toJSON', { virtuals: true });
+
+paymentSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+paymentSchema.index({ payeeId: 1, escrowStatus: 1 });
+
 module.exports = mongoose.model('Payment', paymentSchema);
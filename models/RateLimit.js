@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// One counter per rate limit bucket, used when RATE_LIMIT_STORE=mongo so
+// limits are shared across server instances
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Expired buckets are removed by MongoDB
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const score = {
+  type: Number,
+  min: 1,
+  max: 5
+};
+
+const reviewSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  reviewerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  revieweeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reviewerRole: {
+    type: String,
+    enum: ['client', 'freelancer'],
+    required: true
+  },
+  rating: {
+    ...score,
+    required: true
+  },
+  comment: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  categoryScores: {
+    communication: score,
+    quality: score,
+    timeliness: score,
+    professionalism: score
+  },
+  // Reviews stay hidden until both parties submit or the deadline passes
+  revealed: {
+    type: Boolean,
+    default: false
+  },
+  revealAt: {
+    type: Date,
+    required: true
+  },
+  revealedAt: Date
+}, {
+  timestamps: true
+});
+
+// Each party can review the other once per job
+reviewSchema.index({ jobId: 1, reviewerId: 1 }, { unique: true });
+reviewSchema.index({ revieweeId: 1, revealed: 1, createdAt: -1 });
+reviewSchema.index({ revealed: 1, revealAt: 1 });
+
+module.exports = mongoose.model('Review', reviewSchema);
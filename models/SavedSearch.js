@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const savedSearchSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  filters: {
+    category: String,
+    skills: [{
+      type: String
+    }],
+    budgetMin: Number,
+    budgetMax: Number,
+    search: {
+      type: String,
+      trim: true
+    }
+  },
+  frequency: {
+    type: String,
+    enum: ['instant', 'daily', 'weekly'],
+    default: 'daily'
+  },
+  alertsEnabled: {
+    type: Boolean,
+    default: true
+  },
+  unsubscribeToken: {
+    type: String,
+    unique: true,
+    default: () => crypto.randomBytes(24).toString('hex')
+  },
+  // Matching jobs waiting for the next daily or weekly digest
+  pendingJobs: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  }],
+  lastDigestAt: Date
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ userId: 1, createdAt: -1 });
+savedSearchSchema.index({ alertsEnabled: 1, 'filters.category': 1 });
+
+// Keep the unsubscribe token out of API responses; it is only sent by email
+savedSearchSchema.methods.toJSON = function() {
+  const savedSearch = this.toObject();
+  delete savedSearch.unsubscribeToken;
+  return savedSearch;
+};
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Access tokens carry the session id and stop working
+// once the session is revoked; the refresh token rotates on every use.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token and of the one it replaced, so a
+  // replayed old token can be detected
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  previousTokenHash: String,
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  device: {
+    type: String,
+    default: 'Unknown device'
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  // True when the sign-in passed a two-factor check
+  mfa: {
+    type: Boolean,
+    default: false
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'password_reset', 'password_changed', 'token_reuse', 'account_suspended', 'account_deleted']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const submissionSchema = new mongoose.Schema({
+  jobId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  contractId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contract',
+    required: true
+  },
+  milestoneId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  freelancerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  clientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  notes: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 5000
+  },
+  // Files uploaded through /api/upload
+  attachments: [{
+    url: String,
+    filename: String
+  }],
+  // 0 for the first submission of a milestone, then one more per resubmission
+  revision: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'changes_requested'],
+    default: 'pending'
+  },
+  // Client comments when requesting changes
+  feedback: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  reviewedAt: Date
+}, {
+  timestamps: true
+});
+
+submissionSchema.index({ jobId: 1, createdAt: -1 });
+submissionSchema.index({ contractId: 1, milestoneId: 1, status: 1 });
+
+module.exports = mongoose.model('Submission', submissionSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -14,14 +15,17 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     trim: true
   },
+  // Accounts created through a sign-in provider may have no password
   password: {
     type: String,
-    required: true,
+    required: function() {
+      return this.identities.length === 0;
+    },
     minlength: 6
   },
   role: {
     type: String,
-    enum: ['freelancer', 'job_provider'],
+    enum: ['freelancer', 'job_provider', 'admin'],
     required: true
   },
   profilePic: {
@@ -39,16 +43,90 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Aggregates over revealed reviews received
+  rating: {
+    type: Number,
+    default: 0
+  },
+  reviewCount: {
+    type: Number,
+    default: 0
+  },
   resetPasswordToken: String,
   resetPasswordExpires: Date,
+  // No default: accounts created before verification existed have no value
+  // and are treated as verified. New signups start out false.
+  emailVerified: Boolean,
+  emailVerificationToken: String,
+  emailVerificationExpires: Date,
+  emailVerificationSentAt: Date,
+  // TOTP two-factor authentication. Secrets and recovery code hashes are
+  // never loaded unless selected explicitly.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret waiting for its first code during enrollment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code can't be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  // Accounts at OpenID Connect providers that can sign in as this user
+  identities: [{
+    _id: false,
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   isActive: {
     type: Boolean,
     default: true
-  }
+  },
+  // Set when an admin suspends the account
+  suspendedAt: Date,
+  suspendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  suspensionReason: String,
+  // Set when the user deletes their account; personal data is anonymized
+  deletedAt: Date
 }, {
   timestamps: true
 });
 
+// A provider account can belong to one user only
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -62,8 +140,43 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Emailed tokens are stored as SHA-256 hashes and looked up by hash
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Issue a new email verification token. Only its hash is stored; the raw
+// token goes into the emailed link. The caller saves the user.
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = this.constructor.hashToken(token);
+  this.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+  this.emailVerificationSentAt = new Date();
+  return token;
+};
+
+// Issue a single-use password reset token, stored hashed like the
+// verification token. The caller saves the user.
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  this.resetPasswordToken = this.constructor.hashToken(token);
+  this.resetPasswordExpires = Date.now() + 60 * 60 * 1000; // 1 hour
+  return token;
+};
+
+userSchema.methods.isEmailVerified = function() {
+  return this.emailVerified !== false;
+};
+
+userSchema.methods.hasPassword = function() {
+  return Boolean(this.password);
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password) return false;
   return bcrypt.compare(candidatePassword, this.password);
 };
 
@@ -0,0 +1,353 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const Bid = require('../models/Bid');
+const Payment = require('../models/Payment');
+const Dispute = require('../models/Dispute');
+const { auth, authorize } = require('../middleware/auth');
+const { notify } = require('../utils/notify');
+const { disconnectUser } = require('../utils/socket');
+const { revokeAllSessions } = require('../utils/tokens');
+const { escapeRegex } = require('../utils/jobFilters');
+const { paginationRules } = require('../utils/pagination');
+
+const router = express.Router();
+
+// Every admin route requires an authenticated admin
+router.use(auth, authorize('admin'));
+
+const reasonRule = body('reason').trim().isLength({ min: 5, max: 500 }).withMessage('Reason must be between 5 and 500 characters');
+
+// Turn [{ _id, count }] aggregation output into { [_id]: count }
+const countsById = (rows) => rows.reduce((counts, row) => {
+  counts[row._id] = row.count;
+  return counts;
+}, {});
+
+// @route   GET /api/admin/stats
+// @desc    Platform summary counts
+// @access  Private (Admins only)
+router.get('/stats', async (req, res) => {
+  try {
+    const [usersByRole, suspendedUsers, jobsByStatus, bidsByStatus, paymentsByEscrow, disputesByStatus] = await Promise.all([
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]),
+      User.countDocuments({ isActive: false }),
+      Job.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      Bid.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      Payment.aggregate([
+        { $match: { status: { $ne: 'created' } } },
+        {
+          $group: {
+            _id: '$escrowStatus',
+            count: { $sum: 1 },
+            amount: { $sum: { $subtract: ['$amount', { $ifNull: ['$amountRefunded', 0] }] } }
+          }
+        }
+      ]),
+      Dispute.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    res.json({
+      users: {
+        byRole: countsById(usersByRole),
+        total: usersByRole.reduce((sum, row) => sum + row.count, 0),
+        suspended: suspendedUsers
+      },
+      jobs: countsById(jobsByStatus),
+      bids: countsById(bidsByStatus),
+      payments: paymentsByEscrow.reduce((summary, row) => {
+        summary[row._id] = { count: row.count, amount: row.amount };
+        return summary;
+      }, {}),
+      disputes: countsById(disputesByStatus)
+    });
+  } catch (error) {
+    console.error('Admin stats error:', error);
+    res.status(500).json({ message: 'Server error fetching platform stats' });
+  }
+});
+
+// @route   GET /api/admin/users
+// @desc    List and search users
+// @access  Private (Admins only)
+router.get('/users', [
+  ...paginationRules,
+  query('role').optional().isIn(['freelancer', 'job_provider', 'admin']).withMessage('Invalid role'),
+  query('status').optional().isIn(['active', 'suspended']).withMessage('Status must be active or suspended')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { search, role, status, page = 1, limit = 20 } = req.query;
+    const filter = {};
+
+    if (role) {
+      filter.role = role;
+    }
+
+    if (status) {
+      filter.isActive = status === 'active';
+    }
+
+    // Search over name and email
+    if (search) {
+      const pattern = new RegExp(escapeRegex(String(search).trim()), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    const users = await User.find(filter)
+      .select('-password -resetPasswordToken -resetPasswordExpires -emailVerificationToken')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    const total = await User.countDocuments(filter);
+
+    res.json({
+      users,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Admin get users error:', error);
+    res.status(500).json({ message: 'Server error fetching users' });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/suspend
+// @desc    Suspend a user account
+// @access  Private (Admins only)
+router.put('/users/:id/suspend', [reasonRule], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.role === 'admin') {
+      return res.status(400).json({ message: 'Admin accounts cannot be suspended' });
+    }
+
+    if (!user.isActive) {
+      return res.status(400).json({ message: 'User is already suspended' });
+    }
+
+    user.isActive = false;
+    user.suspendedAt = new Date();
+    user.suspendedBy = req.user._id;
+    user.suspensionReason = req.body.reason;
+    await user.save();
+    await revokeAllSessions(user._id, 'account_suspended');
+    disconnectUser(user._id);
+
+    res.json({
+      message: 'User suspended successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Suspend user error:', error);
+    res.status(500).json({ message: 'Server error suspending user' });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/reactivate
+// @desc    Reactivate a suspended user account
+// @access  Private (Admins only)
+router.put('/users/:id/reactivate', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.isActive) {
+      return res.status(400).json({ message: 'User is not suspended' });
+    }
+
+    if (user.deletedAt) {
+      return res.status(400).json({ message: 'Deleted accounts cannot be reactivated' });
+    }
+
+    user.isActive = true;
+    user.suspendedAt = undefined;
+    user.suspendedBy = undefined;
+    user.suspensionReason = undefined;
+    await user.save();
+
+    res.json({
+      message: 'User reactivated successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Reactivate user error:', error);
+    res.status(500).json({ message: 'Server error reactivating user' });
+  }
+});
+
+// @route   PUT /api/admin/jobs/:id/takedown
+// @desc    Take down a job that has not hired anyone yet
+// @access  Private (Admins only)
+router.put('/jobs/:id/takedown', [reasonRule], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    if (job.takenDownAt) {
+      return res.status(400).json({ message: 'Job has already been taken down' });
+    }
+
+    // Hired work has money and a contract attached; it is settled through a dispute
+    if (job.assignedTo) {
+      return res.status(400).json({ message: 'Jobs with a hired freelancer must be settled through a dispute' });
+    }
+
+    const { reason } = req.body;
+
+    if (job.canTransitionTo('cancelled')) {
+      job.transitionTo('cancelled', req.user._id, `Taken down: ${reason}`);
+      job.cancellationReason = reason;
+    }
+    job.takenDownAt = new Date();
+    job.takenDownBy = req.user._id;
+    job.takedownReason = reason;
+    await job.save();
+
+    // Close out bids still under consideration
+    const openBids = await Bid.find({ jobId: job._id, status: { $in: Bid.OPEN_STATUSES } });
+    await Bid.updateMany(
+      { _id: { $in: openBids.map(bid => bid._id) } },
+      { status: 'rejected', rejectionReason: 'Job was removed by a moderator', statusChangedAt: new Date() }
+    );
+
+    await notify(job.createdBy, 'job_removed', `"${job.title}" was removed by a moderator`, {
+      jobId: job._id,
+      reason
+    });
+    await Promise.all(openBids.map(bid => notify(
+      bid.freelancerId,
+      'job_cancelled',
+      `"${job.title}" is no longer available`,
+      { jobId: job._id, bidId: bid._id }
+    )));
+
+    res.json({
+      message: 'Job taken down successfully',
+      job
+    });
+  } catch (error) {
+    console.error('Take down job error:', error);
+    res.status(500).json({ message: 'Server error taking down job' });
+  }
+});
+
+// @route   PUT /api/admin/bids/:id/takedown
+// @desc    Take down a bid that is still under consideration
+// @access  Private (Admins only)
+router.put('/bids/:id/takedown', [reasonRule], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const bid = await Bid.findById(req.params.id);
+
+    if (!bid) {
+      return res.status(404).json({ message: 'Bid not found' });
+    }
+
+    if (!bid.canTransitionTo('removed')) {
+      return res.status(400).json({ message: `Cannot take down a bid that is ${bid.status}` });
+    }
+
+    bid.status = 'removed';
+    bid.statusChangedAt = new Date();
+    bid.removedBy = req.user._id;
+    bid.removalReason = req.body.reason;
+    await bid.save();
+
+    await Job.findByIdAndUpdate(bid.jobId, {
+      $inc: { bidsCount: -1 }
+    });
+
+    await notify(bid.freelancerId, 'bid_removed', 'One of your bids was removed by a moderator', {
+      jobId: bid.jobId,
+      bidId: bid._id,
+      reason: req.body.reason
+    });
+
+    res.json({
+      message: 'Bid taken down successfully',
+      bid
+    });
+  } catch (error) {
+    console.error('Take down bid error:', error);
+    res.status(500).json({ message: 'Server error taking down bid' });
+  }
+});
+
+// @route   GET /api/admin/payments
+// @desc    List all payments
+// @access  Private (Admins only)
+router.get('/payments', [
+  ...paginationRules,
+  query('status').optional().isIn(Payment.schema.path('status').enumValues).withMessage('Invalid payment status'),
+  query('escrowStatus').optional().isIn(Payment.schema.path('escrowStatus').enumValues).withMessage('Invalid escrow status'),
+  query('frozen').optional().isBoolean().withMessage('Frozen must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, escrowStatus, frozen, page = 1, limit = 20 } = req.query;
+    const filter = {};
+
+    if (status) filter.status = status;
+    if (escrowStatus) filter.escrowStatus = escrowStatus;
+    if (frozen !== undefined) filter.frozen = frozen === 'true';
+
+    const payments = await Payment.find(filter)
+      .populate('jobId', 'title')
+      .populate('payerId', 'name email')
+      .populate('payeeId', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    const total = await Payment.countDocuments(filter);
+
+    res.json({
+      payments,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Admin get payments error:', error);
+    res.status(500).json({ message: 'Server error fetching payments' });
+  }
+});
+
+module.exports = router;
@@ -1,36 +1,155 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const nodemailer = require('nodemailer');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const { auth, requireTwoFactor } = require('../middleware/auth');
+const { queueEmail } = require('../utils/mailer');
+const { disconnectUser, disconnectSession } = require('../utils/socket');
+const { buildExport, deletionBlockers, anonymizeAccount } = require('../utils/account');
+const {
+  createSession,
+  rotateRefreshToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  revokeSession,
+  revokeAllSessions
+} = require('../utils/tokens');
+const { generateSecret, verifyCode, otpauthUri } = require('../utils/totp');
+const { checkPassword, passwordRule } = require('../utils/passwordPolicy');
+const {
+  getProvider,
+  listProviders,
+  startAuthorization,
+  consumeRequest,
+  completeAuthorization,
+  signSignupToken,
+  verifySignupToken
+} = require('../utils/oidc');
+const {
+  rateLimit,
+  byIp,
+  tooManyRequests,
+  loginLockedUntil,
+  recordLoginFailure,
+  clearLoginFailures
+} = require('../utils/rateLimiter');
+const Session = require('../models/Session');
 
 const router = express.Router();
 
-// Email transporter setup
-const transporter = nodemailer.createTransport({
-  host: process.env.EMAIL_HOST,
-  port: Number(process.env.EMAIL_PORT),
-  secure: Number(process.env.EMAIL_PORT) === 465, // true for 465, false for other ports
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS
-  }
+// Minimum wait between verification emails for one account
+const VERIFICATION_RESEND_MS = 2 * 60 * 1000;
+
+const sendVerificationEmail = (user, token) => queueEmail('verify_email', user.email, {
+  name: user.name,
+  verifyUrl: `${process.env.FRONTEND_URL}/verify-email/${token}`
+});
+
+// User fields returned after signing in
+const authUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  profilePic: user.profilePic,
+  emailVerified: user.isEmailVerified(),
+  twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled)
 });
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '7d' });
+const HOUR_MS = 60 * 60 * 1000;
+
+// Throttles for the public auth endpoints
+const signupLimit = rateLimit({ name: 'signup', windowMs: HOUR_MS, max: 10, key: byIp });
+const loginLimit = rateLimit({ name: 'login', windowMs: HOUR_MS / 4, max: 20, key: byIp });
+const twoFactorLimits = [
+  rateLimit({ name: '2fa-login', windowMs: HOUR_MS / 4, max: 20, key: byIp }),
+  rateLimit({
+    name: '2fa-login',
+    windowMs: HOUR_MS / 4,
+    max: 10,
+    key: (req) => {
+      const userId = verifyTwoFactorChallenge(req.body.challengeToken);
+      return userId ? `user:${userId}` : null;
+    }
+  })
+];
+const forgotPasswordLimits = [
+  rateLimit({ name: 'forgot-password', windowMs: HOUR_MS, max: 5, key: byIp }),
+  // Per address, whether or not an account exists, so inboxes can't be flooded
+  rateLimit({
+    name: 'forgot-password',
+    windowMs: HOUR_MS,
+    max: 3,
+    key: (req) => (req.body.email ? `email:${String(req.body.email).trim().toLowerCase()}` : null)
+  })
+];
+
+const oidcLimit = rateLimit({ name: 'oidc', windowMs: HOUR_MS / 4, max: 30, key: byIp });
+
+const LOCKED_MESSAGE = 'Too many failed login attempts. Please try again later.';
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+const RECOVERY_CODE_COUNT = 10;
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-f0-9]/g, ''))
+  .digest('hex');
+
+// Check an authenticator code, or else a recovery code, for a user loaded
+// with TWO_FACTOR_FIELDS. An accepted code is used up; the caller saves the user.
+const useSecondFactor = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyCode(user.twoFactor.secret, code, user.twoFactor.lastUsedStep);
+    if (step === null) return false;
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    // Each recovery code works once
+    const index = user.twoFactor.recoveryCodes.indexOf(hashRecoveryCode(recoveryCode));
+    if (index === -1) return false;
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
+// Re-check who is asking before a sensitive change. Accounts created through
+// a sign-in provider may have no password, in which case a current
+// two-factor code stands in for it. Returns an error message, or null.
+const confirmIdentity = async (user, { password, code, recoveryCode }) => {
+  if (user.hasPassword()) {
+    if (!password) return 'Password is required';
+    return (await user.comparePassword(String(password))) ? null : 'Password is incorrect';
+  }
+
+  if (user.twoFactor && user.twoFactor.enabled) {
+    return useSecondFactor(user, { code, recoveryCode }) ? null : 'Enter a valid authentication code or recovery code';
+  }
+
+  return 'Your account has no password yet. Set one with "Forgot password" first.';
+};
+
+// Fresh one-time recovery codes; returns the codes to show once and their hashes
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
 };
 
 // @route   POST /api/auth/signup
 // @desc    Register user
 // @access  Public
 router.post('/signup', [
+  signupLimit,
   body('name').trim().isLength({ min: 2 }).withMessage('Name must be at least 2 characters'),
   body('email').isEmail().withMessage('Please enter a valid email'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  passwordRule('password'),
   body('role').isIn(['freelancer', 'job_provider']).withMessage('Role must be freelancer or job_provider')
 ], async (req, res) => {
   try {
@@ -52,24 +171,24 @@ router.post('/signup', [
       name,
       email,
       password,
-      role
+      role,
+      emailVerified: false
     });
 
+    const verificationToken = user.createEmailVerificationToken();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    await sendVerificationEmail(user, verificationToken);
+
+    // Start a session and issue its tokens
+    const { token, refreshToken, expiresIn } = await createSession(user._id, req);
 
     res.status(201).json({
       message: 'User created successfully',
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        profilePic: user.profilePic
-      }
+      refreshToken,
+      expiresIn,
+      user: authUser(user)
     });
   } catch (error) {
     console.error('Signup error:', error);
@@ -81,6 +200,7 @@ router.post('/signup', [
 // @desc    Login user
 // @access  Public
 router.post('/login', [
+  loginLimit,
   body('email').isEmail().withMessage('Please enter a valid email'),
   body('password').exists().withMessage('Password is required')
 ], async (req, res) => {
@@ -92,31 +212,48 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
-    // Find user by email
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(400).json({ message: 'Invalid credentials' });
+    const lockedUntil = await loginLockedUntil(email);
+    if (lockedUntil) {
+      return tooManyRequests(res, lockedUntil, LOCKED_MESSAGE);
     }
 
-    // Check password
-    const isMatch = await user.comparePassword(password);
+    // Find user by email and check password. Failures count towards the
+    // lockout whether or not the account exists.
+    const user = await User.findOne({ email });
+    const isMatch = user ? await user.comparePassword(password) : false;
+
     if (!isMatch) {
+      const lockedNow = await recordLoginFailure(email);
+      if (lockedNow) {
+        return tooManyRequests(res, lockedNow, LOCKED_MESSAGE);
+      }
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    await clearLoginFailures(email);
+
+    if (!user.isActive) {
+      return res.status(403).json({ message: 'Account is deactivated' });
+    }
+
+    // With two-factor enabled the password only earns a challenge token
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: signTwoFactorChallenge(user._id)
+      });
+    }
+
+    // Start a session and issue its tokens
+    const { token, refreshToken, expiresIn } = await createSession(user._id, req);
 
     res.json({
       message: 'Login successful',
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        profilePic: user.profilePic
-      }
+      refreshToken,
+      expiresIn,
+      user: authUser(user)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -124,46 +261,571 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/2fa/login
+// @desc    Finish a two-factor login with an authenticator or recovery code
+// @access  Public
+router.post('/2fa/login', [
+  ...twoFactorLimits,
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ message: 'Enter an authentication code or a recovery code' });
+    }
+
+    const userId = verifyTwoFactorChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired' });
+    }
+
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: 'Login challenge is invalid or has expired' });
+    }
+
+    if (!useSecondFactor(user, { code, recoveryCode })) {
+      return res.status(400).json({ message: code ? 'Invalid authentication code' : 'Invalid recovery code' });
+    }
+
+    const recoveryCodesLeft = code ? undefined : user.twoFactor.recoveryCodes.length;
+
+    await user.save();
+
+    const { token, refreshToken, expiresIn } = await createSession(user._id, req, { mfa: true });
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      expiresIn,
+      recoveryCodesLeft,
+      user: authUser(user)
+    });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
+// @route   GET /api/auth/oidc/providers
+// @desc    List the configured sign-in providers
+// @access  Public
+router.get('/oidc/providers', (req, res) => {
+  try {
+    res.json({ providers: listProviders() });
+  } catch (error) {
+    console.error('List sign-in providers error:', error);
+    res.status(500).json({ message: 'Server error listing sign-in providers' });
+  }
+});
+
+// @route   POST /api/auth/oidc/:provider/authorize
+// @desc    Start signing in with a provider; returns the URL to send the user to
+// @access  Public
+router.post('/oidc/:provider/authorize', oidcLimit, async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ message: 'Sign-in provider not found' });
+    }
+
+    const authorizationUrl = await startAuthorization(provider, { intent: 'login' });
+
+    res.json({ authorizationUrl });
+  } catch (error) {
+    console.error('Provider authorize error:', error);
+    res.status(500).json({ message: 'Server error starting provider sign-in' });
+  }
+});
+
+// @route   POST /api/auth/oidc/:provider/callback
+// @desc    Finish signing in with the code the provider redirected back with
+// @access  Public
+router.post('/oidc/:provider/callback', [
+  oidcLimit,
+  body('code').isString().notEmpty().withMessage('Authorization code is required'),
+  body('state').isString().notEmpty().withMessage('State is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ message: 'Sign-in provider not found' });
+    }
+
+    const pending = await consumeRequest(provider, req.body.state, 'login');
+    if (!pending) {
+      return res.status(400).json({ message: 'Sign-in request is invalid or has expired' });
+    }
+
+    let identity;
+    try {
+      identity = await completeAuthorization(provider, pending, req.body.code);
+    } catch (error) {
+      console.error('Provider callback error:', error);
+      return res.status(400).json({ message: `Could not sign in with ${provider.name}` });
+    }
+
+    let user = await User.findOne({
+      identities: { $elemMatch: { provider: identity.provider, subject: identity.subject } }
+    });
+
+    if (!user) {
+      if (!identity.email) {
+        return res.status(400).json({ message: `${provider.name} did not share an email address` });
+      }
+
+      const existingUser = await User.findOne({ email: identity.email });
+
+      // No account yet: the user picks a role before it is created
+      if (!existingUser) {
+        return res.json({
+          message: 'Choose a role to finish creating your account',
+          roleRequired: true,
+          signupToken: signSignupToken(identity),
+          profile: { name: identity.name, email: identity.email }
+        });
+      }
+
+      // Only link by email when both sides have confirmed the address
+      if (!identity.emailVerified || !existingUser.isEmailVerified()) {
+        return res.status(409).json({
+          message: `An account with this email already exists. Sign in with your password and link ${provider.name} from your profile.`
+        });
+      }
+
+      existingUser.identities.push({
+        provider: identity.provider,
+        subject: identity.subject,
+        email: identity.email
+      });
+      await existingUser.save();
+      user = existingUser;
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json({ message: 'Account is deactivated' });
+    }
+
+    // The provider stands in for the password; two-factor still applies
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: signTwoFactorChallenge(user._id)
+      });
+    }
+
+    const { token, refreshToken, expiresIn } = await createSession(user._id, req);
+
+    res.json({
+      message: 'Login successful',
+      token,
+      refreshToken,
+      expiresIn,
+      user: authUser(user)
+    });
+  } catch (error) {
+    console.error('Provider login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
+// @route   POST /api/auth/oidc/signup
+// @desc    Create an account for a provider identity with the chosen role
+// @access  Public
+router.post('/oidc/signup', [
+  oidcLimit,
+  body('signupToken').isString().notEmpty().withMessage('Signup token is required'),
+  body('role').isIn(['freelancer', 'job_provider']).withMessage('Role must be freelancer or job_provider')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const identity = verifySignupToken(req.body.signupToken);
+    if (!identity) {
+      return res.status(401).json({ message: 'Signup token is invalid or has expired' });
+    }
+
+    const existingUser = await User.findOne({
+      $or: [
+        { email: identity.email },
+        { identities: { $elemMatch: { provider: identity.provider, subject: identity.subject } } }
+      ]
+    });
+    if (existingUser) {
+      return res.status(400).json({ message: 'User already exists with this email' });
+    }
+
+    const user = new User({
+      name: identity.name || identity.email.split('@')[0],
+      email: identity.email,
+      role: req.body.role,
+      profilePic: identity.picture,
+      emailVerified: identity.emailVerified,
+      identities: [{
+        provider: identity.provider,
+        subject: identity.subject,
+        email: identity.email
+      }]
+    });
+
+    const verificationToken = identity.emailVerified ? null : user.createEmailVerificationToken();
+    await user.save();
+
+    if (verificationToken) {
+      await sendVerificationEmail(user, verificationToken);
+    } else {
+      await queueEmail('welcome', user.email, {
+        name: user.name,
+        roleLabel: user.role === 'freelancer' ? 'freelancer' : 'client'
+      });
+    }
+
+    const { token, refreshToken, expiresIn } = await createSession(user._id, req);
+
+    res.status(201).json({
+      message: 'User created successfully',
+      token,
+      refreshToken,
+      expiresIn,
+      user: authUser(user)
+    });
+  } catch (error) {
+    console.error('Provider signup error:', error);
+    res.status(500).json({ message: 'Server error during signup' });
+  }
+});
+
+// @route   POST /api/auth/oidc/:provider/link
+// @desc    Start linking a provider to the current account
+// @access  Private
+router.post('/oidc/:provider/link', auth, async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ message: 'Sign-in provider not found' });
+    }
+
+    if (req.user.identities.some(linked => linked.provider === provider.id)) {
+      return res.status(400).json({ message: `${provider.name} is already linked to your account` });
+    }
+
+    const authorizationUrl = await startAuthorization(provider, { intent: 'link', userId: req.user._id });
+
+    res.json({ authorizationUrl });
+  } catch (error) {
+    console.error('Provider link error:', error);
+    res.status(500).json({ message: 'Server error linking provider' });
+  }
+});
+
+// @route   POST /api/auth/oidc/:provider/link/callback
+// @desc    Finish linking a provider with the code it redirected back with
+// @access  Private
+router.post('/oidc/:provider/link/callback', [
+  auth,
+  body('code').isString().notEmpty().withMessage('Authorization code is required'),
+  body('state').isString().notEmpty().withMessage('State is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ message: 'Sign-in provider not found' });
+    }
+
+    // The request must have been started by this same user
+    const pending = await consumeRequest(provider, req.body.state, 'link');
+    if (!pending || !pending.userId.equals(req.user._id)) {
+      return res.status(400).json({ message: 'Link request is invalid or has expired' });
+    }
+
+    let identity;
+    try {
+      identity = await completeAuthorization(provider, pending, req.body.code);
+    } catch (error) {
+      console.error('Provider link callback error:', error);
+      return res.status(400).json({ message: `Could not link ${provider.name}` });
+    }
+
+    const linkedUser = await User.findOne({
+      identities: { $elemMatch: { provider: identity.provider, subject: identity.subject } }
+    });
+    if (linkedUser) {
+      return res.status(409).json({ message: `This ${provider.name} account is already linked to a user` });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (user.identities.some(linked => linked.provider === provider.id)) {
+      return res.status(400).json({ message: `${provider.name} is already linked to your account` });
+    }
+
+    user.identities.push({
+      provider: identity.provider,
+      subject: identity.subject,
+      email: identity.email
+    });
+    await user.save();
+
+    res.json({
+      message: `${provider.name} linked successfully`,
+      identities: user.identities
+    });
+  } catch (error) {
+    console.error('Provider link error:', error);
+    res.status(500).json({ message: 'Server error linking provider' });
+  }
+});
+
+// @route   DELETE /api/auth/oidc/:provider
+// @desc    Unlink a provider from the current account
+// @access  Private
+router.delete('/oidc/:provider', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    const index = user.identities.findIndex(linked => linked.provider === req.params.provider);
+    if (index === -1) {
+      return res.status(404).json({ message: 'Provider is not linked to your account' });
+    }
+
+    // Keep at least one way to sign in
+    if (!user.hasPassword() && user.identities.length === 1) {
+      return res.status(400).json({
+        message: 'Set a password with "Forgot password" before unlinking your only sign-in method'
+      });
+    }
+
+    user.identities.splice(index, 1);
+    await user.save();
+
+    res.json({
+      message: 'Provider unlinked successfully',
+      identities: user.identities
+    });
+  } catch (error) {
+    console.error('Provider unlink error:', error);
+    res.status(500).json({ message: 'Server error unlinking provider' });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment with a new secret
+// @access  Private
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      message: 'Scan the code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri: otpauthUri(secret, user.email)
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error starting two-factor setup' });
+  }
+});
+
+// @route   POST /api/auth/2fa/confirm
+// @desc    Enable two-factor with the first code from the authenticator app
+// @access  Private
+router.post('/2fa/confirm', [
+  auth,
+  body('code').isString().notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    // The current session just proved a code; other devices sign in again
+    // with two-factor before they can make payments
+    await Session.updateOne({ _id: req.sessionId }, { mfa: true });
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Two-factor confirm error:', error);
+    res.status(500).json({ message: 'Server error enabling two-factor authentication' });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes
+// @access  Private
+router.post('/2fa/recovery-codes', [
+  auth,
+  requireTwoFactor,
+  body('password').optional().isString(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const identityError = await confirmIdentity(user, req.body);
+    if (identityError) {
+      return res.status(400).json({ message: identityError });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    res.json({
+      message: 'Recovery codes replaced. Store these somewhere safe.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ message: 'Server error replacing recovery codes' });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication with the password and a current code
+// @access  Private
+router.post('/2fa/disable', [
+  auth,
+  requireTwoFactor,
+  body('password').optional().isString(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    // Accounts without a password rely on the code check alone
+    if (user.hasPassword() && !(await user.comparePassword(String(req.body.password || '')))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    // A password alone isn't enough to switch the second factor off
+    if (!useSecondFactor(user, req.body)) {
+      return res.status(400).json({ message: 'Enter a valid authentication code or recovery code' });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error disabling two-factor authentication' });
+  }
+});
+
 // @route   POST /api/auth/forgot-password
 // @desc    Send reset password email
 // @access  Public
-router.post('/forgot-password', async (req, res) => {
+router.post('/forgot-password', [
+  ...forgotPasswordLimits,
+  body('email').isEmail().withMessage('Please enter a valid email')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   const { email } = req.body;
+  // Same answer whether or not the address is registered
+  const response = { message: 'If an account exists for this email, a password reset link has been sent' };
+
   try {
     const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json({ message: 'User not found with this email' });
+    if (!user || !user.isActive) {
+      return res.json(response);
     }
 
-    // Generate reset token and expiry
-    const resetToken = crypto.randomBytes(32).toString('hex');
-    user.resetPasswordToken = resetToken;
-    user.resetPasswordExpires = Date.now() + 3600000; // 1 hour
+    // Generate reset token and expiry; only its hash is stored
+    const resetToken = user.createPasswordResetToken();
     await user.save();
 
     // Construct reset URL
     const resetUrl = `${process.env.FRONTEND_URL}/reset-password/${resetToken}`;
 
-    // Send email with detailed error logging
-    try {
-      const mailOptions = {
-        from: process.env.EMAIL_USER,
-        to: user.email,
-        subject: 'Password Reset Request',
-        html: `
-          <h2>Password Reset Request</h2>
-          <p>Click the link below to reset your password:</p>
-          <a href="${resetUrl}">Reset Password</a>
-          <p>This link will expire in 1 hour.</p>
-        `
-      };
-      const info = await transporter.sendMail(mailOptions);
-      console.log('Nodemailer info:', info);
-      res.json({ message: 'Password reset email sent successfully' });
-    } catch (mailError) {
-      console.error('Nodemailer error:', mailError);
-      res.status(500).json({ message: 'Server error sending reset email', error: mailError.message });
-    }
+    await queueEmail('password_reset', user.email, {
+      name: user.name,
+      resetUrl
+    });
+
+    res.json(response);
   } catch (error) {
     console.error('Forgot password error:', error);
     res.status(500).json({ message: 'Server error sending reset email' });
@@ -173,22 +835,52 @@ router.post('/forgot-password', async (req, res) => {
 // @route   POST /api/auth/reset-password
 // @desc    Reset password with token
 // @access  Public
-router.post('/reset-password', async (req, res) => {
-  const { token, password } = req.body;
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isString().withMessage('Password is required')
+], async (req, res) => {
   try {
-    const user = await User.findOne({
-      resetPasswordToken: token,
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, password } = req.body;
+    const tokenFilter = {
+      resetPasswordToken: User.hashToken(token),
       resetPasswordExpires: { $gt: Date.now() }
-    });
+    };
+
+    const user = await User.findOne(tokenFilter);
     if (!user) {
       return res.status(400).json({ message: 'Invalid or expired reset token' });
     }
 
+    const problems = checkPassword(password, user);
+    if (problems.length > 0) {
+      return res.status(400).json({ message: problems.join('. ') });
+    }
+
+    // Claim the token atomically so it can only be used once
+    const claimed = await User.updateOne(tokenFilter, {
+      $unset: { resetPasswordToken: 1, resetPasswordExpires: 1 }
+    });
+    if (claimed.modifiedCount === 0) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
     user.password = password;
     user.resetPasswordToken = undefined;
     user.resetPasswordExpires = undefined;
     await user.save();
 
+    // Sign out every device, in case the old password was compromised
+    await revokeAllSessions(user._id, 'password_reset');
+    disconnectUser(user._id);
+    await clearLoginFailures(user.email);
+
+    await queueEmail('password_changed', user.email, { name: user.name });
+
     res.json({ message: 'Password reset successful' });
   } catch (error) {
     console.error('Reset password error:', error);
@@ -196,6 +888,236 @@ router.post('/reset-password', async (req, res) => {
   }
 });
 
+// @route   PUT /api/auth/password
+// @desc    Change password for the current user
+// @access  Private
+router.put('/password', [
+  auth,
+  body('currentPassword').exists().withMessage('Current password is required'),
+  passwordRule('newPassword', (req) => req.user)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id);
+
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    if (await user.comparePassword(newPassword)) {
+      return res.status(400).json({ message: 'New password must be different from the current one' });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Keep this device signed in and sign out every other one
+    await revokeAllSessions(user._id, 'password_changed', req.sessionId);
+    disconnectUser(user._id, req.sessionId);
+
+    await queueEmail('password_changed', user.email, { name: user.name });
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Server error changing password' });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with the emailed token
+// @access  Public
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({
+      emailVerificationToken: User.hashToken(req.body.token),
+      emailVerificationExpires: { $gt: Date.now() }
+    });
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    await queueEmail('welcome', user.email, {
+      name: user.name,
+      roleLabel: user.role === 'freelancer' ? 'freelancer' : 'client'
+    });
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error verifying email' });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.isEmailVerified()) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    const waitMs = user.emailVerificationSentAt
+      ? user.emailVerificationSentAt.getTime() + VERIFICATION_RESEND_MS - Date.now()
+      : 0;
+    if (waitMs > 0) {
+      res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+      return res.status(429).json({ message: 'Please wait before requesting another verification email' });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+
+    await sendVerificationEmail(user, verificationToken);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error sending verification email' });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access and refresh token
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rotated = await rotateRefreshToken(req.body.refreshToken, req);
+    if (!rotated) {
+      return res.status(401).json({ message: 'Refresh token is not valid' });
+    }
+
+    const user = await User.findById(rotated.session.userId).select('isActive');
+    if (!user || !user.isActive) {
+      return res.status(403).json({ message: 'Account is deactivated' });
+    }
+
+    res.json({
+      token: rotated.token,
+      refreshToken: rotated.refreshToken,
+      expiresIn: rotated.expiresIn
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error refreshing token' });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await revokeSession(req.user._id, req.sessionId, 'logout');
+    disconnectSession(req.sessionId);
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's signed-in devices
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error fetching sessions' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one session
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const result = await revokeSession(req.user._id, req.params.id, 'user_revoked');
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    disconnectSession(req.params.id);
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error revoking session' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke every session, or every other session with ?keepCurrent=true
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true';
+    const result = await revokeAllSessions(req.user._id, 'user_revoked', keepCurrent ? req.sessionId : null);
+
+    disconnectUser(req.user._id, keepCurrent ? req.sessionId : null);
+
+    res.json({
+      message: 'Sessions revoked successfully',
+      revoked: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ message: 'Server error revoking sessions' });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
@@ -210,7 +1132,10 @@ router.get('/me', auth, async (req, res) => {
         profilePic: req.user.profilePic,
         bio: req.user.bio,
         skills: req.user.skills,
-        hourlyRate: req.user.hourlyRate
+        hourlyRate: req.user.hourlyRate,
+        emailVerified: req.user.isEmailVerified(),
+        twoFactorEnabled: req.user.twoFactor.enabled,
+        identities: req.user.identities
       }
     });
   } catch (error) {
@@ -261,4 +1186,60 @@ router.put('/profile', [
   }
 });
 
+// @route   GET /api/auth/export
+// @desc    Download everything stored about the current user as JSON
+// @access  Private
+router.get('/export', auth, async (req, res) => {
+  try {
+    const data = await buildExport(req.user._id);
+
+    res.set('Content-Disposition', `attachment; filename="account-export-${req.user._id}.json"`);
+    res.json(data);
+  } catch (error) {
+    console.error('Export account error:', error);
+    res.status(500).json({ message: 'Server error exporting account data' });
+  }
+});
+
+// @route   DELETE /api/auth/account
+// @desc    Delete the current account, anonymizing personal data
+// @access  Private
+router.delete('/account', [
+  auth,
+  body('password').optional().isString(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_FIELDS);
+
+    const identityError = await confirmIdentity(user, req.body);
+    if (identityError) {
+      return res.status(400).json({ message: identityError });
+    }
+
+    const blockers = await deletionBlockers(user._id);
+    if (blockers.length > 0) {
+      return res.status(400).json({
+        message: 'Settle your active work before deleting your account',
+        blockers
+      });
+    }
+
+    await anonymizeAccount(user);
+    await revokeAllSessions(user._id, 'account_deleted');
+    disconnectUser(user._id);
+
+    res.json({ message: 'Account deleted successfully' });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ message: 'Server error deleting account' });
+  }
+});
+
 module.exports = router;
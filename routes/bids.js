@@ -1,17 +1,41 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Bid = require('../models/Bid');
 const Job = require('../models/Job');
-const { auth, authorize } = require('../middleware/auth');
+const Contract = require('../models/Contract');
+const { auth, authorize, requireVerified } = require('../middleware/auth');
+const { notify } = require('../utils/notify');
+const { queueEmail } = require('../utils/mailer');
+const { rateLimit, byUser } = require('../utils/rateLimiter');
 
 const router = express.Router();
 
+// Sort options for a job's bid list
+const BID_SORTS = {
+  newest: { createdAt: -1 },
+  amount_low: { bidAmount: 1 },
+  amount_high: { bidAmount: -1 },
+  delivery_time: { deliveryTime: 1 },
+  rating: { createdAt: -1 } // re-sorted by freelancer rating after populate
+};
+
+// Cap on new bids per freelancer per day
+const bidQuota = rateLimit({
+  name: 'bids',
+  windowMs: 24 * 60 * 60 * 1000,
+  max: Number(process.env.BID_DAILY_QUOTA || 30),
+  key: byUser,
+  message: 'Daily bid limit reached, please try again tomorrow'
+});
+
 // @route   POST /api/bids
 // @desc    Create a new bid
 // @access  Private (Freelancers only)
 router.post('/', [
   auth,
   authorize('freelancer'),
+  requireVerified,
+  bidQuota,
   body('jobId').isMongoId().withMessage('Invalid job ID'),
   body('bidAmount').isNumeric().isFloat({ min: 1 }).withMessage('Bid amount must be a positive number'),
   body('message').trim().isLength({ min: 10 }).withMessage('Message must be at least 10 characters'),
@@ -26,7 +50,7 @@ router.post('/', [
     const { jobId, bidAmount, message, deliveryTime, attachments } = req.body;
 
     // Check if job exists and is open
-    const job = await Job.findById(jobId);
+    const job = await Job.findById(jobId).populate('createdBy', 'name email');
     if (!job) {
       return res.status(404).json({ message: 'Job not found' });
     }
@@ -64,6 +88,21 @@ router.post('/', [
 
     await bid.populate('freelancerId', 'name profilePic');
 
+    await notify(job.createdBy._id, 'bid_received', `New bid on "${job.title}"`, {
+      jobId: job._id,
+      bidId: bid._id,
+      freelancerName: req.user.name,
+      bidAmount
+    });
+
+    await queueEmail('bid_received', job.createdBy.email, {
+      name: job.createdBy.name,
+      freelancerName: req.user.name,
+      bidAmount,
+      jobTitle: job.title,
+      jobUrl: `${process.env.FRONTEND_URL}/jobs/${job._id}`
+    });
+
     res.status(201).json({
       message: 'Bid submitted successfully',
       bid
@@ -75,10 +114,18 @@ router.post('/', [
 });
 
 // @route   GET /api/bids/job/:jobId
-// @desc    Get all bids for a job
+// @desc    Get all bids for a job, including each bid's revision timeline
 // @access  Private (Job owner only)
-router.get('/job/:jobId', auth, async (req, res) => {
+router.get('/job/:jobId', [
+  auth,
+  query('sort').optional().isIn(Object.keys(BID_SORTS)).withMessage('Invalid sort option')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const job = await Job.findById(req.params.jobId);
     
     if (!job) {
@@ -90,9 +137,26 @@ router.get('/job/:jobId', auth, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized to view bids for this job' });
     }
 
-    const bids = await Bid.find({ jobId: req.params.jobId })
-      .populate('freelancerId', 'name profilePic bio skills hourlyRate')
-      .sort({ createdAt: -1 });
+    const { status, sort = 'newest' } = req.query;
+    // Bids taken down by an admin are never shown to the job owner
+    const filter = { jobId: req.params.jobId, status: { $ne: 'removed' } };
+
+    // Status filter (comma separated)
+    if (status) {
+      filter.status = {
+        $in: String(status).split(',').map(item => item.trim()).filter(item => item !== 'removed')
+      };
+    }
+
+    const bids = await Bid.find(filter)
+      .populate('freelancerId', 'name profilePic bio skills hourlyRate rating reviewCount')
+      .sort(BID_SORTS[sort]);
+
+    if (sort === 'rating') {
+      bids.sort((a, b) =>
+        (b.freelancerId?.rating || 0) - (a.freelancerId?.rating || 0) ||
+        (b.freelancerId?.reviewCount || 0) - (a.freelancerId?.reviewCount || 0));
+    }
 
     res.json({ bids });
   } catch (error) {
@@ -130,8 +194,16 @@ router.get('/freelancer', [
 // @route   PUT /api/bids/:id/accept
 // @desc    Accept a bid
 // @access  Private (Job owner only)
-router.put('/:id/accept', auth, async (req, res) => {
+router.put('/:id/accept', [
+  auth,
+  body('revisionLimit').optional().isInt({ min: 0, max: 10 }).withMessage('Revision limit must be between 0 and 10')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const bid = await Bid.findById(req.params.id)
       .populate('jobId')
       .populate('freelancerId', 'name email');
@@ -150,25 +222,85 @@ router.put('/:id/accept', auth, async (req, res) => {
       return res.status(400).json({ message: 'Job is no longer open' });
     }
 
+    if (!bid.canTransitionTo('accepted')) {
+      return res.status(400).json({ message: `Cannot accept a bid that is ${bid.status}` });
+    }
+
     // Accept the bid
     bid.status = 'accepted';
+    bid.statusChangedAt = new Date();
     await bid.save();
 
     // Update job status and assign to freelancer
-    await Job.findByIdAndUpdate(bid.jobId._id, {
-      status: 'in_progress',
-      assignedTo: bid.freelancerId._id
-    });
+    bid.jobId.transitionTo('in_progress', req.user._id);
+    bid.jobId.assignedTo = bid.freelancerId._id;
+    await bid.jobId.save();
+
+    // Reject all other bids still under consideration for this job
+    const otherBids = await Bid.find({
+      jobId: bid.jobId._id,
+      _id: { $ne: bid._id },
+      status: { $in: Bid.OPEN_STATUSES }
+    }).populate('freelancerId', 'name email');
 
-    // Reject all other bids for this job
     await Bid.updateMany(
-      { jobId: bid.jobId._id, _id: { $ne: bid._id } },
-      { status: 'rejected' }
+      { _id: { $in: otherBids.map(otherBid => otherBid._id) } },
+      {
+        status: 'rejected',
+        rejectionReason: 'Another proposal was selected for this job',
+        statusChangedAt: new Date()
+      }
     );
 
+    // Create the contract with a single milestone covering the accepted bid
+    const contract = new Contract({
+      jobId: bid.jobId._id,
+      bidId: bid._id,
+      clientId: req.user._id,
+      freelancerId: bid.freelancerId._id,
+      revisionLimit: req.body.revisionLimit,
+      milestones: [{
+        title: bid.jobId.title,
+        amount: bid.bidAmount,
+        dueDate: new Date(Date.now() + bid.deliveryTime * 24 * 60 * 60 * 1000),
+        order: 1,
+        status: 'agreed',
+        proposedBy: bid.freelancerId._id,
+        agreedAt: new Date()
+      }]
+    });
+
+    await contract.save();
+
+    await notify(bid.freelancerId._id, 'bid_accepted', `Your bid on "${bid.jobId.title}" was accepted`, {
+      jobId: bid.jobId._id,
+      bidId: bid._id,
+      contractId: contract._id
+    });
+
+    await queueEmail('bid_accepted', bid.freelancerId.email, {
+      name: bid.freelancerId.name,
+      jobTitle: bid.jobId.title,
+      jobUrl: `${process.env.FRONTEND_URL}/jobs/${bid.jobId._id}`
+    });
+
+    await Promise.all(otherBids.map(async otherBid => {
+      await notify(
+        otherBid.freelancerId._id,
+        'bid_rejected',
+        `Your bid on "${bid.jobId.title}" was not selected`,
+        { jobId: bid.jobId._id, bidId: otherBid._id }
+      );
+      await queueEmail('bid_rejected', otherBid.freelancerId.email, {
+        name: otherBid.freelancerId.name,
+        jobTitle: bid.jobId.title
+      });
+    }));
+
     res.json({
       message: 'Bid accepted successfully',
-      bid
+      bid,
+      contract
     });
   } catch (error) {
     console.error('Accept bid error:', error);
@@ -176,32 +308,152 @@ router.put('/:id/accept', auth, async (req, res) => {
   }
 });
 
+// @route   PUT /api/bids/:id/shortlist
+// @desc    Shortlist a bid
+// @access  Private (Job owner only)
+router.put('/:id/shortlist', auth, async (req, res) => {
+  await changeBidStatus(req, res, 'shortlisted');
+});
+
+// @route   PUT /api/bids/:id/interview
+// @desc    Move a bid to the interview stage
+// @access  Private (Job owner only)
+router.put('/:id/interview', auth, async (req, res) => {
+  await changeBidStatus(req, res, 'interviewing');
+});
+
 // @route   PUT /api/bids/:id/reject
-// @desc    Reject a bid
+// @desc    Reject a bid with an optional reason shown to the freelancer
 // @access  Private (Job owner only)
-router.put('/:id/reject', auth, async (req, res) => {
+router.put('/:id/reject', [
+  auth,
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  await changeBidStatus(req, res, 'rejected');
+});
+
+// @route   PUT /api/bids/:id/withdraw
+// @desc    Withdraw a bid
+// @access  Private (Bid owner only)
+router.put('/:id/withdraw', auth, async (req, res) => {
   try {
-    const bid = await Bid.findById(req.params.id).populate('jobId');
+    const bid = await Bid.findById(req.params.id).populate('jobId', 'title createdBy');
 
     if (!bid) {
       return res.status(404).json({ message: 'Bid not found' });
     }
 
-    // Check if user owns the job
-    if (bid.jobId.createdBy.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Not authorized to reject this bid' });
+    // Check if user owns the bid
+    if (bid.freelancerId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to withdraw this bid' });
+    }
+
+    if (!bid.canTransitionTo('withdrawn')) {
+      return res.status(400).json({ message: `Cannot withdraw a bid that is ${bid.status}` });
+    }
+
+    bid.status = 'withdrawn';
+    bid.statusChangedAt = new Date();
+    await bid.save();
+
+    await notify(bid.jobId.createdBy, 'bid_withdrawn', `${req.user.name} withdrew their bid on "${bid.jobId.title}"`, {
+      jobId: bid.jobId._id,
+      bidId: bid._id
+    });
+
+    res.json({
+      message: 'Bid withdrawn successfully',
+      bid
+    });
+  } catch (error) {
+    console.error('Withdraw bid error:', error);
+    res.status(500).json({ message: 'Server error withdrawing bid' });
+  }
+});
+
+// @route   PUT /api/bids/:id
+// @desc    Edit a pending bid, keeping the previous version in its history
+// @access  Private (Bid owner only)
+router.put('/:id', [
+  auth,
+  authorize('freelancer'),
+  body('bidAmount').optional().isNumeric().isFloat({ min: 1 }).withMessage('Bid amount must be a positive number'),
+  body('message').optional().trim().isLength({ min: 10 }).withMessage('Message must be at least 10 characters'),
+  body('deliveryTime').optional().isInt({ min: 1 }).withMessage('Delivery time must be at least 1 day'),
+  body('attachments').optional().isArray().withMessage('Attachments must be an array')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const bid = await Bid.findById(req.params.id).populate('jobId', 'title status createdBy');
+
+    if (!bid) {
+      return res.status(404).json({ message: 'Bid not found' });
+    }
+
+    // Check if user owns the bid
+    if (bid.freelancerId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to edit this bid' });
+    }
+
+    if (bid.status !== 'pending') {
+      return res.status(400).json({ message: 'Only pending bids can be edited' });
+    }
+
+    if (bid.jobId.status !== 'open') {
+      return res.status(400).json({ message: 'Job is no longer open' });
+    }
+
+    const updates = {};
+    if (req.body.bidAmount !== undefined) updates.bidAmount = Number(req.body.bidAmount);
+    if (req.body.deliveryTime !== undefined) updates.deliveryTime = Number(req.body.deliveryTime);
+    if (req.body.message !== undefined) updates.message = req.body.message;
+    if (req.body.attachments !== undefined) {
+      updates.attachments = req.body.attachments.map(({ url, filename }) => ({ url, filename }));
+    }
+
+    const changed = Object.keys(updates).some(field =>
+      field === 'attachments' || updates[field] !== bid[field]);
+
+    if (!changed) {
+      return res.status(400).json({ message: 'No changes to the bid' });
     }
 
-    bid.status = 'rejected';
+    // Keep the current terms before overwriting them
+    bid.revisions.push({
+      bidAmount: bid.bidAmount,
+      deliveryTime: bid.deliveryTime,
+      message: bid.message,
+      attachments: bid.attachments,
+      submittedAt: bid.lastRevisedAt || bid.createdAt,
+      replacedAt: new Date()
+    });
+
+    Object.assign(bid, updates);
+    bid.lastRevisedAt = new Date();
     await bid.save();
 
+    await notify(bid.jobId.createdBy, 'bid_updated', `${req.user.name} updated their bid on "${bid.jobId.title}"`, {
+      jobId: bid.jobId._id,
+      bidId: bid._id,
+      bidAmount: bid.bidAmount
+    });
+
     res.json({
-      message: 'Bid rejected successfully',
+      message: 'Bid updated successfully',
       bid
     });
   } catch (error) {
-    console.error('Reject bid error:', error);
-    res.status(500).json({ message: 'Server error rejecting bid' });
+    console.error('Update bid error:', error);
+    res.status(500).json({ message: 'Server error updating bid' });
   }
 });
 
@@ -240,4 +492,66 @@ router.delete('/:id', auth, async (req, res) => {
   }
 });
 
+// Helper function for the job owner's shortlist, interview and reject actions
+async function changeBidStatus(req, res, status) {
+  try {
+    const bid = await Bid.findById(req.params.id)
+      .populate('jobId')
+      .populate('freelancerId', 'name email');
+
+    if (!bid) {
+      return res.status(404).json({ message: 'Bid not found' });
+    }
+
+    // Check if user owns the job
+    if (bid.jobId.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to update this bid' });
+    }
+
+    if (!bid.canTransitionTo(status)) {
+      return res.status(400).json({ message: `Cannot move a ${bid.status} bid to ${status}` });
+    }
+
+    bid.status = status;
+    bid.statusChangedAt = new Date();
+    if (status === 'rejected') {
+      bid.rejectionReason = req.body.reason || '';
+    }
+    await bid.save();
+
+    const jobTitle = bid.jobId.title;
+    const payload = { jobId: bid.jobId._id, bidId: bid._id };
+
+    if (status === 'rejected') {
+      await notify(bid.freelancerId._id, 'bid_rejected', `Your bid on "${jobTitle}" was not selected`, {
+        ...payload,
+        reason: bid.rejectionReason
+      });
+
+      await queueEmail('bid_rejected', bid.freelancerId.email, {
+        name: bid.freelancerId.name,
+        jobTitle
+      });
+    } else if (status === 'shortlisted') {
+      await notify(bid.freelancerId._id, 'bid_shortlisted', `Your bid on "${jobTitle}" was shortlisted`, payload);
+    } else {
+      await notify(bid.freelancerId._id, 'bid_interviewing', `The client wants to interview you for "${jobTitle}"`, payload);
+    }
+
+    const messages = {
+      shortlisted: 'Bid shortlisted successfully',
+      interviewing: 'Bid moved to interview successfully',
+      rejected: 'Bid rejected successfully'
+    };
+
+    res.json({
+      message: messages[status],
+      bid
+    });
+  } catch (error) {
+    console.error(`Update bid to ${status} error:`, error);
+    res.status(500).json({ message: 'Server error updating bid' });
+  }
+}
+
 module.exports = router;
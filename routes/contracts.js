@@ -0,0 +1,295 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Contract = require('../models/Contract');
+const Payment = require('../models/Payment');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/contracts
+// @desc    Get contracts for current user
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const contracts = await Contract.find({
+      $or: [{ clientId: req.user._id }, { freelancerId: req.user._id }]
+    })
+      .populate('jobId', 'title status')
+      .populate('clientId', 'name profilePic')
+      .populate('freelancerId', 'name profilePic')
+      .sort({ createdAt: -1 });
+
+    res.json({ contracts });
+  } catch (error) {
+    console.error('Get contracts error:', error);
+    res.status(500).json({ message: 'Server error fetching contracts' });
+  }
+});
+
+// @route   GET /api/contracts/job/:jobId
+// @desc    Get contract for a job
+// @access  Private (Contract parties only)
+router.get('/job/:jobId', auth, async (req, res) => {
+  try {
+    const contract = await Contract.findOne({ jobId: req.params.jobId })
+      .populate('jobId', 'title status')
+      .populate('clientId', 'name profilePic')
+      .populate('freelancerId', 'name profilePic');
+
+    if (!contract) {
+      return res.status(404).json({ message: 'Contract not found' });
+    }
+
+    if (!contract.isParty(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to view this contract' });
+    }
+
+    res.json({ contract });
+  } catch (error) {
+    console.error('Get job contract error:', error);
+    res.status(500).json({ message: 'Server error fetching contract' });
+  }
+});
+
+// @route   GET /api/contracts/:id
+// @desc    Get contract by ID
+// @access  Private (Contract parties only)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const contract = await Contract.findById(req.params.id)
+      .populate('jobId', 'title status')
+      .populate('clientId', 'name profilePic')
+      .populate('freelancerId', 'name profilePic');
+
+    if (!contract) {
+      return res.status(404).json({ message: 'Contract not found' });
+    }
+
+    if (!contract.isParty(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to view this contract' });
+    }
+
+    res.json({ contract });
+  } catch (error) {
+    console.error('Get contract error:', error);
+    res.status(500).json({ message: 'Server error fetching contract' });
+  }
+});
+
+// @route   POST /api/contracts/:id/milestones
+// @desc    Propose a new milestone
+// @access  Private (Contract parties only)
+router.post('/:id/milestones', [
+  auth,
+  body('title').trim().isLength({ min: 3 }).withMessage('Title must be at least 3 characters'),
+  body('amount').isNumeric().isFloat({ min: 1 }).withMessage('Amount must be a positive number'),
+  body('dueDate').isISO8601().withMessage('Due date must be a valid date'),
+  body('order').optional().isInt({ min: 1 }).withMessage('Order must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const contract = await Contract.findById(req.params.id);
+
+    if (!contract) {
+      return res.status(404).json({ message: 'Contract not found' });
+    }
+
+    if (!contract.isParty(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to modify this contract' });
+    }
+
+    if (contract.status !== 'active') {
+      return res.status(400).json({ message: 'Contract is no longer active' });
+    }
+
+    const { title, amount, dueDate, order } = req.body;
+    const lastOrder = contract.milestones.reduce((max, milestone) => Math.max(max, milestone.order), 0);
+
+    contract.milestones.push({
+      title,
+      amount,
+      dueDate,
+      order: order || lastOrder + 1,
+      status: 'proposed',
+      proposedBy: req.user._id
+    });
+
+    await contract.save();
+
+    res.status(201).json({
+      message: 'Milestone proposed successfully',
+      contract
+    });
+  } catch (error) {
+    console.error('Propose milestone error:', error);
+    res.status(500).json({ message: 'Server error proposing milestone' });
+  }
+});
+
+// @route   PUT /api/contracts/:id/milestones/:milestoneId
+// @desc    Amend a milestone (requires approval from the other party)
+// @access  Private (Contract parties only)
+router.put('/:id/milestones/:milestoneId', [
+  auth,
+  body('title').optional().trim().isLength({ min: 3 }).withMessage('Title must be at least 3 characters'),
+  body('amount').optional().isNumeric().isFloat({ min: 1 }).withMessage('Amount must be a positive number'),
+  body('dueDate').optional().isISO8601().withMessage('Due date must be a valid date'),
+  body('order').optional().isInt({ min: 1 }).withMessage('Order must be a positive integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const contract = await Contract.findById(req.params.id);
+
+    if (!contract) {
+      return res.status(404).json({ message: 'Contract not found' });
+    }
+
+    if (!contract.isParty(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to modify this contract' });
+    }
+
+    if (contract.status !== 'active') {
+      return res.status(400).json({ message: 'Contract is no longer active' });
+    }
+
+    const milestone = contract.milestones.id(req.params.milestoneId);
+    if (!milestone) {
+      return res.status(404).json({ message: 'Milestone not found' });
+    }
+
+    if (!['proposed', 'agreed'].includes(milestone.status)) {
+      return res.status(400).json({ message: 'Cannot amend a milestone that has been funded' });
+    }
+
+    if (await hasOpenPaymentOrder(milestone._id)) {
+      return res.status(400).json({ message: 'Cannot amend a milestone with a pending payment' });
+    }
+
+    const allowedUpdates = ['title', 'amount', 'dueDate', 'order'];
+    allowedUpdates.forEach(field => {
+      if (req.body[field] !== undefined) {
+        milestone[field] = req.body[field];
+      }
+    });
+
+    // Any amendment has to be agreed again by the other party
+    milestone.status = 'proposed';
+    milestone.proposedBy = req.user._id;
+    milestone.agreedAt = undefined;
+
+    await contract.save();
+
+    res.json({
+      message: 'Milestone amended successfully',
+      contract
+    });
+  } catch (error) {
+    console.error('Amend milestone error:', error);
+    res.status(500).json({ message: 'Server error amending milestone' });
+  }
+});
+
+// @route   PUT /api/contracts/:id/milestones/:milestoneId/approve
+// @desc    Agree to a proposed milestone
+// @access  Private (Contract parties only)
+router.put('/:id/milestones/:milestoneId/approve', auth, async (req, res) => {
+  try {
+    const contract = await Contract.findById(req.params.id);
+
+    if (!contract) {
+      return res.status(404).json({ message: 'Contract not found' });
+    }
+
+    if (!contract.isParty(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to modify this contract' });
+    }
+
+    if (contract.status !== 'active') {
+      return res.status(400).json({ message: 'Contract is no longer active' });
+    }
+
+    const milestone = contract.milestones.id(req.params.milestoneId);
+    if (!milestone) {
+      return res.status(404).json({ message: 'Milestone not found' });
+    }
+
+    if (milestone.status !== 'proposed') {
+      return res.status(400).json({ message: 'Milestone is not awaiting approval' });
+    }
+
+    if (milestone.proposedBy.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'The other party must approve this milestone' });
+    }
+
+    milestone.status = 'agreed';
+    milestone.agreedAt = new Date();
+
+    await contract.save();
+
+    res.json({
+      message: 'Milestone approved successfully',
+      contract
+    });
+  } catch (error) {
+    console.error('Approve milestone error:', error);
+    res.status(500).json({ message: 'Server error approving milestone' });
+  }
+});
+
+// @route   DELETE /api/contracts/:id/milestones/:milestoneId
+// @desc    Withdraw a proposed milestone
+// @access  Private (Contract parties only)
+router.delete('/:id/milestones/:milestoneId', auth, async (req, res) => {
+  try {
+    const contract = await Contract.findById(req.params.id);
+
+    if (!contract) {
+      return res.status(404).json({ message: 'Contract not found' });
+    }
+
+    if (!contract.isParty(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to modify this contract' });
+    }
+
+    if (contract.status !== 'active') {
+      return res.status(400).json({ message: 'Contract is no longer active' });
+    }
+
+    const milestone = contract.milestones.id(req.params.milestoneId);
+    if (!milestone) {
+      return res.status(404).json({ message: 'Milestone not found' });
+    }
+
+    // Agreed milestones can only change through an amendment both parties approve
+    if (milestone.status !== 'proposed') {
+      return res.status(400).json({ message: 'Only proposed milestones can be removed' });
+    }
+
+    milestone.deleteOne();
+    await contract.save();
+
+    res.json({
+      message: 'Milestone removed successfully',
+      contract
+    });
+  } catch (error) {
+    console.error('Remove milestone error:', error);
+    res.status(500).json({ message: 'Server error removing milestone' });
+  }
+});
+
+// Helper function to check for an order on a milestone that can still be paid
+async function hasOpenPaymentOrder(milestoneId) {
+  const payment = await Payment.exists({ milestoneId, status: { $in: Payment.OPEN_STATUSES } });
+  return Boolean(payment);
+}
+
+module.exports = router;
@@ -0,0 +1,239 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Job = require('../models/Job');
+const Bid = require('../models/Bid');
+const { auth } = require('../middleware/auth');
+const { messageRules, saveMessage } = require('../utils/chat');
+const { emitToRoom, conversationRoom } = require('../utils/socket');
+
+const router = express.Router();
+
+// @route   GET /api/conversations
+// @desc    Get conversations for current user with unread counts
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const conversations = await Conversation.find({
+      $or: [{ clientId: req.user._id }, { freelancerId: req.user._id }]
+    })
+      .populate('jobId', 'title status')
+      .populate('clientId', 'name profilePic')
+      .populate('freelancerId', 'name profilePic')
+      .sort({ lastMessageAt: -1 });
+
+    res.json({
+      conversations: conversations.map(conversation => ({
+        ...conversation.toJSON(),
+        unreadCount: conversation[conversation.unreadFieldFor(req.user._id)]
+      }))
+    });
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({ message: 'Server error fetching conversations' });
+  }
+});
+
+// @route   GET /api/conversations/unread-count
+// @desc    Get total unread messages for current user
+// @access  Private
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const [totals] = await Conversation.aggregate([
+      { $match: { $or: [{ clientId: req.user._id }, { freelancerId: req.user._id }] } },
+      {
+        $group: {
+          _id: null,
+          unread: {
+            $sum: {
+              $cond: [{ $eq: ['$clientId', req.user._id] }, '$clientUnread', '$freelancerUnread']
+            }
+          }
+        }
+      }
+    ]);
+
+    res.json({ unreadCount: totals ? totals.unread : 0 });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ message: 'Server error fetching unread count' });
+  }
+});
+
+// @route   POST /api/conversations
+// @desc    Start (or fetch) the conversation between a job owner and a freelancer
+// @access  Private (Job owner or a freelancer who bid on the job)
+router.post('/', [
+  auth,
+  body('jobId').isMongoId().withMessage('Invalid job ID'),
+  body('freelancerId').optional().isMongoId().withMessage('Invalid freelancer ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const job = await Job.findById(req.body.jobId);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const isOwner = job.createdBy.toString() === req.user._id.toString();
+    const freelancerId = isOwner ? req.body.freelancerId : req.user._id.toString();
+
+    if (!freelancerId) {
+      return res.status(400).json({ message: 'Freelancer ID is required' });
+    }
+
+    // Only the assigned freelancer or someone who bid on the job can be messaged
+    const isAssigned = job.assignedTo && job.assignedTo.toString() === freelancerId;
+    const hasBid = isAssigned || await Bid.exists({ jobId: job._id, freelancerId });
+    if (!hasBid) {
+      return res.status(403).json({ message: 'Not authorized to start a conversation on this job' });
+    }
+
+    let conversation = await Conversation.findOne({ jobId: job._id, freelancerId });
+    let created = false;
+
+    if (!conversation) {
+      conversation = new Conversation({
+        jobId: job._id,
+        clientId: job.createdBy,
+        freelancerId
+      });
+      await conversation.save();
+      created = true;
+    }
+
+    await conversation.populate([
+      { path: 'jobId', select: 'title status' },
+      { path: 'clientId', select: 'name profilePic' },
+      { path: 'freelancerId', select: 'name profilePic' }
+    ]);
+
+    res.status(created ? 201 : 200).json({ conversation });
+  } catch (error) {
+    console.error('Create conversation error:', error);
+    res.status(500).json({ message: 'Server error creating conversation' });
+  }
+});
+
+// @route   GET /api/conversations/:id/messages
+// @desc    Page through message history, newest first
+// @access  Private (Participants only)
+router.get('/:id/messages', [
+  auth,
+  query('before').optional().isISO8601().withMessage('Before must be a valid date'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const conversation = await Conversation.findById(req.params.id);
+
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    if (!conversation.isParticipant(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to view this conversation' });
+    }
+
+    const limit = Number(req.query.limit) || 30;
+    const filter = { conversationId: conversation._id };
+
+    if (req.query.before) {
+      filter.createdAt = { $lt: new Date(req.query.before) };
+    }
+
+    // Fetch one extra message to know whether older history exists
+    const messages = await Message.find(filter)
+      .populate('senderId', 'name profilePic')
+      .sort({ createdAt: -1 })
+      .limit(limit + 1);
+
+    const hasMore = messages.length > limit;
+    const page = messages.slice(0, limit);
+
+    res.json({
+      messages: page,
+      hasMore,
+      nextCursor: hasMore ? page[page.length - 1].createdAt : null
+    });
+  } catch (error) {
+    console.error('Get messages error:', error);
+    res.status(500).json({ message: 'Server error fetching messages' });
+  }
+});
+
+// @route   POST /api/conversations/:id/messages
+// @desc    Send a text or attachment message
+// @access  Private (Participants only)
+router.post('/:id/messages', [
+  auth,
+  ...messageRules
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const conversation = await Conversation.findById(req.params.id);
+
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    if (!conversation.isParticipant(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to post in this conversation' });
+    }
+
+    const chatMessage = await saveMessage(conversation, req.user._id, req.body);
+    if (!chatMessage) {
+      return res.status(400).json({ message: 'Message must include text or attachments' });
+    }
+
+    emitToRoom(conversationRoom(conversation._id), 'receive-message', chatMessage);
+
+    res.status(201).json({
+      message: 'Message sent successfully',
+      chatMessage
+    });
+  } catch (error) {
+    console.error('Send message error:', error);
+    res.status(500).json({ message: 'Server error sending message' });
+  }
+});
+
+// @route   PUT /api/conversations/:id/read
+// @desc    Mark a conversation as read
+// @access  Private (Participants only)
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    const conversation = await Conversation.findById(req.params.id);
+
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    if (!conversation.isParticipant(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to update this conversation' });
+    }
+
+    conversation[conversation.unreadFieldFor(req.user._id)] = 0;
+    await conversation.save();
+
+    res.json({ message: 'Conversation marked as read' });
+  } catch (error) {
+    console.error('Mark conversation read error:', error);
+    res.status(500).json({ message: 'Server error updating conversation' });
+  }
+});
+
+module.exports = router;
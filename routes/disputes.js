@@ -0,0 +1,380 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Dispute = require('../models/Dispute');
+const Contract = require('../models/Contract');
+const Payment = require('../models/Payment');
+const Job = require('../models/Job');
+const { auth, authorize } = require('../middleware/auth');
+const { notify } = require('../utils/notify');
+const {
+  responseDeadline,
+  disputedAmount,
+  freezePayments,
+  unfreezePayments,
+  notifyParties,
+  applyRuling
+} = require('../utils/disputes');
+
+const router = express.Router();
+
+const DISPUTE_REASONS = Dispute.schema.path('reason').enumValues;
+
+const attachmentRules = (field) => [
+  body(field).optional().isArray({ max: 10 }).withMessage(`${field} must be an array of up to 10 files`),
+  body(`${field}.*.url`).optional().isURL().withMessage('Attachment URL is invalid')
+];
+
+const toAttachments = (files, userId) =>
+  (files || []).map(({ url, filename }) => ({ url, filename, uploadedBy: userId }));
+
+// @route   POST /api/disputes
+// @desc    Open a dispute on a job, or on one of its payments
+// @access  Private (Contract parties only)
+router.post('/', [
+  auth,
+  body('jobId').isMongoId().withMessage('Invalid job ID'),
+  body('paymentId').optional().isMongoId().withMessage('Invalid payment ID'),
+  body('reason').isIn(DISPUTE_REASONS).withMessage('Invalid dispute reason'),
+  body('description').trim().isLength({ min: 20, max: 5000 }).withMessage('Description must be between 20 and 5000 characters'),
+  ...attachmentRules('evidence')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { jobId, paymentId, reason, description, evidence } = req.body;
+
+    const job = await Job.findById(jobId);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const contract = await Contract.findOne({ jobId: job._id });
+    if (!contract || !contract.isParty(req.user._id)) {
+      return res.status(403).json({ message: 'Only the client and hired freelancer can dispute this job' });
+    }
+
+    if (!job.canTransitionTo('disputed')) {
+      return res.status(400).json({ message: `Cannot dispute a job that is ${job.status}` });
+    }
+
+    if (await Dispute.exists({ jobId: job._id, status: { $in: ['open', 'under_review', 'resolving'] } })) {
+      return res.status(400).json({ message: 'This job already has an open dispute' });
+    }
+
+    // Freeze the disputed payment, or every escrowed payment on the job
+    const paymentFilter = { jobId: job._id, escrowStatus: { $in: ['funded', 'held'] } };
+    if (paymentId) {
+      paymentFilter._id = paymentId;
+    }
+    const payments = await Payment.find(paymentFilter).select('_id');
+
+    if (paymentId && payments.length === 0) {
+      return res.status(400).json({ message: 'Payment has no funds in escrow for this job' });
+    }
+
+    const dispute = new Dispute({
+      jobId: job._id,
+      contractId: contract._id,
+      paymentIds: payments.map(payment => payment._id),
+      clientId: contract.clientId,
+      freelancerId: contract.freelancerId,
+      openedBy: req.user._id,
+      reason,
+      description,
+      evidence: toAttachments(evidence, req.user._id),
+      respondBy: responseDeadline()
+    });
+
+    await dispute.save();
+    await freezePayments(dispute);
+
+    job.transitionTo('disputed', req.user._id, description);
+    await job.save();
+
+    await notify(dispute.respondentId(), 'dispute_opened', `A dispute was opened on "${job.title}"`, {
+      disputeId: dispute._id,
+      jobId: job._id,
+      respondBy: dispute.respondBy
+    });
+
+    res.status(201).json({
+      message: 'Dispute opened successfully',
+      dispute
+    });
+  } catch (error) {
+    console.error('Open dispute error:', error);
+    res.status(500).json({ message: 'Server error opening dispute' });
+  }
+});
+
+// @route   GET /api/disputes
+// @desc    Get disputes for current user, or all disputes for admins
+// @access  Private
+router.get('/', [
+  auth,
+  query('status').optional().isIn(['open', 'under_review', 'resolving', 'resolved', 'withdrawn']).withMessage('Invalid status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = req.user.role === 'admin'
+      ? {}
+      : { $or: [{ clientId: req.user._id }, { freelancerId: req.user._id }] };
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const disputes = await Dispute.find(filter)
+      .select('-messages')
+      .populate('jobId', 'title status')
+      .populate('clientId', 'name profilePic')
+      .populate('freelancerId', 'name profilePic')
+      .sort({ createdAt: -1 });
+
+    res.json({ disputes });
+  } catch (error) {
+    console.error('Get disputes error:', error);
+    res.status(500).json({ message: 'Server error fetching disputes' });
+  }
+});
+
+// @route   GET /api/disputes/:id
+// @desc    Get a dispute with its evidence and message thread
+// @access  Private (Dispute parties and admins)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const dispute = await Dispute.findById(req.params.id)
+      .populate('jobId', 'title status')
+      .populate('paymentIds', 'amount amountRefunded escrowStatus frozen')
+      .populate('messages.senderId', 'name profilePic role');
+
+    if (!dispute) {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    if (req.user.role !== 'admin' && !dispute.isParty(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to view this dispute' });
+    }
+
+    res.json({
+      dispute,
+      disputedAmount: dispute.isActive() ? await disputedAmount(dispute) : 0
+    });
+  } catch (error) {
+    console.error('Get dispute error:', error);
+    res.status(500).json({ message: 'Server error fetching dispute' });
+  }
+});
+
+// @route   POST /api/disputes/:id/messages
+// @desc    Post to the dispute thread
+// @access  Private (Dispute parties and admins)
+router.post('/:id/messages', [
+  auth,
+  body('text').trim().isLength({ min: 1, max: 5000 }).withMessage('Message must be between 1 and 5000 characters'),
+  ...attachmentRules('attachments')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const dispute = await Dispute.findById(req.params.id);
+
+    if (!dispute) {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    if (req.user.role !== 'admin' && !dispute.isParty(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to post to this dispute' });
+    }
+
+    if (!dispute.isActive()) {
+      return res.status(400).json({ message: 'Dispute is closed' });
+    }
+
+    dispute.messages.push({
+      senderId: req.user._id,
+      text: req.body.text,
+      attachments: toAttachments(req.body.attachments, req.user._id)
+    });
+
+    // The respondent's first reply hands the dispute over for review
+    if (dispute.status === 'open' && dispute.respondentId().toString() === req.user._id.toString()) {
+      dispute.status = 'under_review';
+      dispute.respondedAt = new Date();
+    }
+
+    await dispute.save();
+
+    const recipients = [dispute.clientId, dispute.freelancerId]
+      .filter(userId => userId.toString() !== req.user._id.toString());
+    await Promise.all(recipients.map(userId => notify(userId, 'dispute_message', 'New message on your dispute', {
+      disputeId: dispute._id,
+      jobId: dispute.jobId
+    })));
+
+    res.status(201).json({
+      message: 'Message posted successfully',
+      disputeMessage: dispute.messages[dispute.messages.length - 1],
+      status: dispute.status
+    });
+  } catch (error) {
+    console.error('Post dispute message error:', error);
+    res.status(500).json({ message: 'Server error posting message' });
+  }
+});
+
+// @route   POST /api/disputes/:id/evidence
+// @desc    Add evidence files to a dispute
+// @access  Private (Dispute parties only)
+router.post('/:id/evidence', [
+  auth,
+  body('evidence').isArray({ min: 1, max: 10 }).withMessage('Evidence must be an array of 1 to 10 files'),
+  body('evidence.*.url').isURL().withMessage('Attachment URL is invalid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const dispute = await Dispute.findById(req.params.id);
+
+    if (!dispute) {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    if (!dispute.isParty(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to add evidence to this dispute' });
+    }
+
+    if (!dispute.isActive()) {
+      return res.status(400).json({ message: 'Dispute is closed' });
+    }
+
+    dispute.evidence.push(...toAttachments(req.body.evidence, req.user._id));
+    await dispute.save();
+
+    res.status(201).json({
+      message: 'Evidence added successfully',
+      evidence: dispute.evidence
+    });
+  } catch (error) {
+    console.error('Add dispute evidence error:', error);
+    res.status(500).json({ message: 'Server error adding evidence' });
+  }
+});
+
+// @route   PUT /api/disputes/:id/withdraw
+// @desc    Withdraw a dispute, unfreezing its payments and resuming the job
+// @access  Private (Party that opened the dispute)
+router.put('/:id/withdraw', auth, async (req, res) => {
+  try {
+    const dispute = await Dispute.findById(req.params.id);
+
+    if (!dispute) {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    if (dispute.openedBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the party that opened the dispute can withdraw it' });
+    }
+
+    if (!dispute.isActive()) {
+      return res.status(400).json({ message: 'Dispute is closed' });
+    }
+
+    dispute.status = 'withdrawn';
+    dispute.closedAt = new Date();
+    await dispute.save();
+    await unfreezePayments(dispute);
+
+    const job = await Job.findById(dispute.jobId);
+    if (job && job.status === 'disputed') {
+      job.transitionTo('in_progress', req.user._id, 'Dispute withdrawn');
+      await job.save();
+    }
+
+    await notifyParties(dispute, 'dispute_resolved', 'A dispute was withdrawn');
+
+    res.json({
+      message: 'Dispute withdrawn successfully',
+      dispute
+    });
+  } catch (error) {
+    console.error('Withdraw dispute error:', error);
+    res.status(500).json({ message: 'Server error withdrawing dispute' });
+  }
+});
+
+// @route   PUT /api/disputes/:id/rule
+// @desc    Rule on a dispute: full refund, full release or a split
+// @access  Private (Admins only)
+router.put('/:id/rule', [
+  auth,
+  authorize('admin'),
+  body('outcome').isIn(['refund', 'release', 'split']).withMessage('Outcome must be refund, release or split'),
+  body('freelancerAmount')
+    .if(body('outcome').equals('split'))
+    .isFloat({ min: 0 }).withMessage('Freelancer amount is required for a split'),
+  body('notes').trim().isLength({ min: 10, max: 2000 }).withMessage('Notes must be between 10 and 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const dispute = await Dispute.findById(req.params.id);
+
+    if (!dispute) {
+      return res.status(404).json({ message: 'Dispute not found' });
+    }
+
+    if (dispute.status === 'resolving') {
+      return res.status(400).json({ message: 'A ruling is already being carried out for this dispute' });
+    }
+
+    if (!dispute.isActive()) {
+      return res.status(400).json({ message: 'Dispute is closed' });
+    }
+
+    const { outcome, freelancerAmount, notes } = req.body;
+
+    if (outcome === 'split') {
+      const total = await disputedAmount(dispute);
+      if (Number(freelancerAmount) > total) {
+        return res.status(400).json({ message: `Freelancer amount cannot exceed the disputed ${total}` });
+      }
+    }
+
+    await applyRuling(dispute, { outcome, freelancerAmount, notes }, req.user._id);
+
+    // Failed payouts stay on the dispute and are retried by the scheduler
+    if (dispute.status === 'resolving') {
+      return res.status(202).json({
+        message: 'Ruling recorded; some payouts failed and will be retried',
+        dispute
+      });
+    }
+
+    res.json({
+      message: 'Ruling applied successfully',
+      dispute
+    });
+  } catch (error) {
+    console.error('Dispute ruling error:', error);
+    res.status(500).json({ message: 'Server error applying ruling' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,148 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const Payment = require('../models/Payment');
+const { escapeRegex } = require('../utils/jobFilters');
+const { paginationRules } = require('../utils/pagination');
+
+const router = express.Router();
+
+// Fields that are safe to show to anyone browsing the directory
+const PUBLIC_FIELDS = 'name profilePic bio skills hourlyRate rating reviewCount createdAt';
+
+// Lifetime earnings bands shown instead of exact amounts (in INR)
+const EARNINGS_TIERS = [
+  { tier: 'top_earner', min: 250000 },
+  { tier: 'established', min: 50000 },
+  { tier: 'rising', min: 1 },
+  { tier: 'new', min: 0 }
+];
+
+// @route   GET /api/freelancers
+// @desc    Search the freelancer directory
+// @access  Public
+router.get('/', [
+  ...paginationRules,
+  query('minRate').optional().isFloat({ min: 0 }).withMessage('Minimum rate must be a positive number'),
+  query('maxRate').optional().isFloat({ min: 0 }).withMessage('Maximum rate must be a positive number'),
+  query('minRating').optional().isFloat({ min: 0, max: 5 }).withMessage('Minimum rating must be between 0 and 5')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { skills, minRate, maxRate, minRating, search, page = 1, limit = 10 } = req.query;
+
+    const filter = { role: 'freelancer', isActive: true };
+
+    // Skills filter (comma separated, freelancer must have all of them)
+    if (skills) {
+      const skillList = String(skills).split(',').map(skill => skill.trim()).filter(Boolean);
+      if (skillList.length > 0) {
+        filter.skills = { $all: skillList.map(skill => new RegExp(`^${escapeRegex(skill)}$`, 'i')) };
+      }
+    }
+
+    // Hourly rate filter
+    if (minRate || maxRate) {
+      filter.hourlyRate = {};
+      if (minRate) filter.hourlyRate.$gte = Number(minRate);
+      if (maxRate) filter.hourlyRate.$lte = Number(maxRate);
+    }
+
+    // Rating filter
+    if (minRating) {
+      filter.rating = { $gte: Number(minRating) };
+    }
+
+    // Text search over name and bio
+    if (search) {
+      const pattern = new RegExp(escapeRegex(String(search).trim()), 'i');
+      filter.$or = [{ name: pattern }, { bio: pattern }];
+    }
+
+    const freelancers = await User.find(filter)
+      .select(PUBLIC_FIELDS)
+      .sort({ rating: -1, reviewCount: -1, createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    const total = await User.countDocuments(filter);
+
+    res.json({
+      freelancers,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get freelancers error:', error);
+    res.status(500).json({ message: 'Server error fetching freelancers' });
+  }
+});
+
+// @route   GET /api/freelancers/:id
+// @desc    Get a freelancer's public profile
+// @access  Public
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'Freelancer not found' });
+    }
+
+    const freelancer = await User.findOne({
+      _id: req.params.id,
+      role: 'freelancer',
+      isActive: true
+    }).select(PUBLIC_FIELDS);
+
+    if (!freelancer) {
+      return res.status(404).json({ message: 'Freelancer not found' });
+    }
+
+    const completedJobs = await Job.countDocuments({
+      assignedTo: freelancer._id,
+      status: 'completed'
+    });
+
+    const [earnings] = await Payment.aggregate([
+      { $match: { payeeId: freelancer._id, escrowStatus: 'released' } },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: { $subtract: ['$amount', { $ifNull: ['$amountRefunded', 0] }] } }
+        }
+      }
+    ]);
+
+    res.json({
+      freelancer: {
+        id: freelancer._id,
+        name: freelancer.name,
+        profilePic: freelancer.profilePic,
+        bio: freelancer.bio,
+        skills: freelancer.skills,
+        hourlyRate: freelancer.hourlyRate,
+        rating: freelancer.rating,
+        reviewCount: freelancer.reviewCount,
+        memberSince: freelancer.createdAt,
+        completedJobs,
+        earningsTier: getEarningsTier(earnings ? earnings.total : 0)
+      }
+    });
+  } catch (error) {
+    console.error('Get freelancer error:', error);
+    res.status(500).json({ message: 'Server error fetching freelancer' });
+  }
+});
+
+// Helper function to map lifetime earnings to a public tier
+function getEarningsTier(total) {
+  return EARNINGS_TIERS.find(({ min }) => total >= min).tier;
+}
+
+module.exports = router;
@@ -1,47 +1,66 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Job = require('../models/Job');
 const Bid = require('../models/Bid');
-const { auth, authorize } = require('../middleware/auth');
+const Contract = require('../models/Contract');
+const Payment = require('../models/Payment');
+const { auth, authorize, requireVerified } = require('../middleware/auth');
+const { notify } = require('../utils/notify');
+const { refundPayment } = require('../utils/escrow');
+const { buildProfile, rankJobs } = require('../utils/recommendations');
+const { matchSavedSearches } = require('../utils/jobAlerts');
+const { SORT_OPTIONS, buildJobQuery, buildJobSort, buildFacetStage } = require('../utils/jobFilters');
+const { paginationRules } = require('../utils/pagination');
 
 const router = express.Router();
 
 // @route   GET /api/jobs
-// @desc    Get all jobs with filters
+// @desc    Get all jobs with filters, sorting and facet counts
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', [
+  ...paginationRules,
+  query('sort').optional().isIn(Object.keys(SORT_OPTIONS)).withMessage('Invalid sort option'),
+  query('skills_match').optional().isIn(['any', 'all']).withMessage('Skills match must be any or all')
+], async (req, res) => {
   try {
-    const { category, search, page = 1, limit = 10, budget_min, budget_max } = req.query;
-    
-    let query = { status: 'open' };
-    
-    // Category filter
-    if (category && category !== 'all') {
-      query.category = category;
-    }
-    
-    // Budget filter
-    if (budget_min || budget_max) {
-      query.budget = {};
-      if (budget_min) query.budget.$gte = Number(budget_min);
-      if (budget_max) query.budget.$lte = Number(budget_max);
-    }
-    
-    // Search filter
-    if (search) {
-      query.$text = { $search: search };
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
-    
-    const jobs = await Job.find(query)
+
+    const { page = 1, limit = 10, sort, search } = req.query;
+
+    const { base, facetFilters } = buildJobQuery(req.query);
+    const query = { ...base, ...facetFilters };
+
+    let jobsQuery = Job.find(query)
       .populate('createdBy', 'name profilePic')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
+      .sort(buildJobSort(sort, Boolean(search)))
+      .limit(limit)
       .skip((page - 1) * limit);
-    
+
+    if (search && sort === 'relevance') {
+      jobsQuery = jobsQuery.select({ score: { $meta: 'textScore' } });
+    }
+
+    const jobs = await jobsQuery;
     const total = await Job.countDocuments(query);
-    
+
+    const [facetCounts] = await Job.aggregate([
+      { $match: base },
+      { $facet: buildFacetStage(facetFilters) }
+    ]);
+
+    const facets = {};
+    Object.entries(facetCounts).forEach(([field, counts]) => {
+      facets[field] = counts
+        .filter(count => count._id)
+        .map(count => ({ value: count._id, count: count.count }));
+    });
+
     res.json({
       jobs,
+      facets,
       totalPages: Math.ceil(total / limit),
       currentPage: page,
       total
@@ -89,6 +108,56 @@ router.get('/user/posted', [
   }
 });
 
+// @route   GET /api/jobs/recommended
+// @desc    Get open jobs ranked for the current freelancer
+// @access  Private (Freelancers only)
+router.get('/recommended', [
+  auth,
+  authorize('freelancer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { limit = 20 } = req.query;
+
+    const bids = await Bid.find({ freelancerId: req.user._id })
+      .populate('jobId', 'category')
+      .select('jobId bidAmount');
+
+    const completedJobs = await Job.countDocuments({
+      assignedTo: req.user._id,
+      status: 'completed'
+    });
+
+    const profile = buildProfile(req.user, {
+      pastJobs: bids.map(bid => bid.jobId).filter(Boolean),
+      bidAmounts: bids.map(bid => bid.bidAmount),
+      completedJobs
+    });
+
+    // Score the most recent open jobs the freelancer has not bid on yet
+    const candidates = await Job.find({
+      status: 'open',
+      createdBy: { $ne: req.user._id },
+      _id: { $nin: bids.map(bid => bid.jobId?._id).filter(Boolean) }
+    })
+      .populate('createdBy', 'name profilePic')
+      .sort({ createdAt: -1 })
+      .limit(200);
+
+    const recommendations = rankJobs(candidates, profile).slice(0, limit);
+
+    res.json({ recommendations });
+  } catch (error) {
+    console.error('Get recommended jobs error:', error);
+    res.status(500).json({ message: 'Server error fetching recommended jobs' });
+  }
+});
+
 // @route   GET /api/jobs/:id
 // @desc    Get job by ID
 // @access  Public
@@ -115,6 +184,7 @@ router.get('/:id', async (req, res) => {
 router.post('/', [
   auth,
   authorize('job_provider'),
+  requireVerified,
   body('title').trim().isLength({ min: 5 }).withMessage('Title must be at least 5 characters'),
   body('description').trim().isLength({ min: 20 }).withMessage('Description must be at least 20 characters'),
   body('category').isIn(['Web Development', 'Mobile Development', 'Design', 'Writing', 'Data Entry', 'Digital Marketing', 'Video Editing', 'Translation', 'Other']).withMessage('Invalid category'),
@@ -154,6 +224,9 @@ router.post('/', [
     await job.save();
     await job.populate('createdBy', 'name profilePic');
 
+    // Alerts go out in the background so they can't slow down or fail the post
+    matchSavedSearches(job).catch(error => console.error('Saved search alerts error:', error));
+
     res.status(201).json({
       message: 'Job created successfully',
       job
@@ -181,8 +254,13 @@ router.put('/:id', [
     if (job.createdBy.toString() !== req.user._id.toString()) {
       return res.status(403).json({ message: 'Not authorized to update this job' });
     }
+
+    // Status only changes through the lifecycle actions below
+    if (req.body.status !== undefined && req.body.status !== job.status) {
+      return res.status(400).json({ message: 'Use the cancel, pause or reopen actions to change job status' });
+    }
     
-    const allowedUpdates = ['title', 'description', 'budget', 'skills', 'status'];
+    const allowedUpdates = ['title', 'description', 'budget', 'skills'];
     const updates = {};
     
     allowedUpdates.forEach(field => {
@@ -207,8 +285,116 @@ router.put('/:id', [
   }
 });
 
+// @route   PUT /api/jobs/:id/cancel
+// @desc    Cancel a job, rejecting open bids and refunding undelivered escrow
+// @access  Private (Job owner only)
+router.put('/:id/cancel', [
+  auth,
+  authorize('job_provider'),
+  body('reason').trim().isLength({ min: 5, max: 500 }).withMessage('Reason must be between 5 and 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    if (job.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to cancel this job' });
+    }
+
+    if (job.status === 'disputed') {
+      return res.status(400).json({ message: 'A disputed job is settled by the dispute ruling' });
+    }
+
+    if (!job.canTransitionTo('cancelled')) {
+      return res.status(400).json({ message: `Cannot cancel a job that is ${job.status}` });
+    }
+
+    const { reason } = req.body;
+    const payments = await Payment.find({ jobId: job._id });
+
+    // Delivered work awaiting review has to be released or disputed instead
+    if (payments.some(payment => payment.escrowStatus === 'held')) {
+      return res.status(400).json({ message: 'Release or dispute delivered work before cancelling this job' });
+    }
+
+    // Refund escrow for work that was never delivered
+    for (const payment of payments) {
+      if (payment.escrowStatus === 'funded' && payment.refundableAmount > 0) {
+        await refundPayment(payment, {
+          reason: `Job cancelled: ${reason}`,
+          initiatedBy: req.user._id
+        });
+      } else if (payment.status === 'created') {
+        payment.status = 'failed';
+        await payment.save();
+      }
+    }
+
+    job.transitionTo('cancelled', req.user._id, reason);
+    job.cancellationReason = reason;
+    await job.save();
+
+    await Contract.updateOne({ jobId: job._id, status: 'active' }, { status: 'cancelled' });
+
+    // Close out bids still under consideration and let everyone involved know
+    const openBids = await Bid.find({ jobId: job._id, status: { $in: Bid.OPEN_STATUSES } });
+    await Bid.updateMany(
+      { _id: { $in: openBids.map(bid => bid._id) } },
+      { status: 'rejected', rejectionReason: `Job was cancelled: ${reason}`, statusChangedAt: new Date(), closedWithJob: true }
+    );
+
+    const recipients = new Set(openBids.map(bid => bid.freelancerId.toString()));
+    if (job.assignedTo) {
+      recipients.add(job.assignedTo.toString());
+    }
+
+    await Promise.all([...recipients].map(userId => notify(
+      userId,
+      'job_cancelled',
+      `"${job.title}" was cancelled`,
+      { jobId: job._id, reason }
+    )));
+
+    res.json({
+      message: 'Job cancelled successfully',
+      job
+    });
+  } catch (error) {
+    console.error('Cancel job error:', error);
+    res.status(500).json({ message: 'Server error cancelling job' });
+  }
+});
+
+// @route   PUT /api/jobs/:id/pause
+// @desc    Pause an open job so it stops taking bids
+// @access  Private (Job owner only)
+router.put('/:id/pause', [
+  auth,
+  authorize('job_provider')
+], async (req, res) => {
+  await changeJobStatus(req, res, 'paused');
+});
+
+// @route   PUT /api/jobs/:id/reopen
+// @desc    Reopen an unassigned paused or cancelled job, restoring bids the cancellation closed
+// @access  Private (Job owner only)
+router.put('/:id/reopen', [
+  auth,
+  authorize('job_provider')
+], async (req, res) => {
+  await changeJobStatus(req, res, 'open');
+});
+
 // @route   DELETE /api/jobs/:id
-// @desc    Delete job
+// @desc    Delete a job that never hired a freelancer
 // @access  Private (Job owner only)
 router.delete('/:id', [
   auth,
@@ -224,6 +410,12 @@ router.delete('/:id', [
     if (job.createdBy.toString() !== req.user._id.toString()) {
       return res.status(403).json({ message: 'Not authorized to delete this job' });
     }
+
+    // Jobs that got as far as hiring keep their history; cancel them instead
+    if (!['open', 'paused', 'cancelled'].includes(job.status) || job.assignedTo ||
+      await Contract.exists({ jobId: job._id })) {
+      return res.status(400).json({ message: 'Only jobs without a hired freelancer can be deleted; cancel the job instead' });
+    }
     
     await Job.findByIdAndDelete(req.params.id);
     await Bid.deleteMany({ jobId: req.params.id });
@@ -235,4 +427,48 @@ router.delete('/:id', [
   }
 });
 
+// Helper function for the owner's simple status actions (pause, reopen)
+async function changeJobStatus(req, res, status) {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    if (job.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to update this job' });
+    }
+
+    if (!job.canTransitionTo(status)) {
+      return res.status(400).json({ message: `Cannot change job status from ${job.status} to ${status}` });
+    }
+
+    const wasCancelled = job.status === 'cancelled';
+
+    job.transitionTo(status, req.user._id, req.body.reason);
+    if (status === 'open') {
+      job.cancellationReason = undefined;
+    }
+    await job.save();
+
+    // Bids closed by the cancellation go back to pending so those
+    // freelancers aren't locked out of the reopened job
+    if (wasCancelled && status === 'open') {
+      await Bid.updateMany(
+        { jobId: job._id, status: 'rejected', closedWithJob: true },
+        { status: 'pending', rejectionReason: '', statusChangedAt: new Date(), $unset: { closedWithJob: 1 } }
+      );
+    }
+
+    res.json({
+      message: status === 'paused' ? 'Job paused successfully' : 'Job reopened successfully',
+      job
+    });
+  } catch (error) {
+    console.error(`Change job status to ${status} error:`, error);
+    res.status(500).json({ message: 'Server error updating job status' });
+  }
+}
+
 module.exports = router;
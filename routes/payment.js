@@ -1,28 +1,26 @@
 const express = require('express');
-const Razorpay = require('razorpay');
 const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const Payment = require('../models/Payment');
 const Job = require('../models/Job');
+const Contract = require('../models/Contract');
 const User = require('../models/User');
-const { auth, authorize } = require('../middleware/auth');
+const { auth, authorize, requireVerified, requireTwoFactor } = require('../middleware/auth');
+const razorpay = require('../utils/razorpay');
+const { fundPayment, releasePayment, refundPayment, settleRefund } = require('../utils/escrow');
 
 const router = express.Router();
 
-// Initialize Razorpay
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET
-});
-
 // @route   POST /api/payment/create-order
-// @desc    Create Razorpay order for job payment
+// @desc    Create Razorpay order for a contract milestone
 // @access  Private (Job Providers only)
 router.post('/create-order', [
   auth,
   authorize('job_provider'),
+  requireVerified,
+  requireTwoFactor,
   body('jobId').isMongoId().withMessage('Invalid job ID'),
-  body('amount').isNumeric().isFloat({ min: 1 }).withMessage('Amount must be a positive number')
+  body('milestoneId').isMongoId().withMessage('Invalid milestone ID')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -30,7 +28,7 @@ router.post('/create-order', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { jobId, amount, description } = req.body;
+    const { jobId, milestoneId, description } = req.body;
 
     // Verify job exists and belongs to user
     const job = await Job.findById(jobId).populate('assignedTo', 'name email');
@@ -46,13 +44,43 @@ router.post('/create-order', [
       return res.status(400).json({ message: 'Job has not been assigned to any freelancer' });
     }
 
+    const contract = await Contract.findOne({ jobId });
+    if (!contract) {
+      return res.status(404).json({ message: 'Contract not found for this job' });
+    }
+
+    // Money paid on a cancelled or finished job would have nowhere to go
+    if (job.status !== 'in_progress' || contract.status !== 'active') {
+      return res.status(400).json({ message: 'Payments can only be made while the job is in progress' });
+    }
+
+    const milestone = contract.milestones.id(milestoneId);
+    if (!milestone) {
+      return res.status(404).json({ message: 'Milestone not found' });
+    }
+
+    // Milestones are paid into escrow up front, or directly once the work is approved
+    if (!['agreed', 'approved'].includes(milestone.status) || milestone.fundedAt) {
+      return res.status(400).json({ message: 'Only agreed or approved, unpaid milestones can be paid' });
+    }
+
+    // A second click or tab gets the order that is already open, so the
+    // milestone can't be paid twice
+    const openPayment = await Payment.findOne({ milestoneId: milestone._id, status: { $in: Payment.OPEN_STATUSES } });
+    if (openPayment) {
+      return res.json(orderResponse(openPayment, 'Payment order already open for this milestone'));
+    }
+
+    const amount = milestone.amount;
+
     // Create Razorpay order
     const options = {
       amount: Math.round(amount * 100), // Convert to paise
       currency: 'INR',
-      receipt: `job_${jobId}_${Date.now()}`,
+      receipt: `ms_${milestone._id}`,
       notes: {
         jobId: jobId,
+        milestoneId: milestone._id.toString(),
         payerId: req.user._id.toString(),
         payeeId: job.assignedTo._id.toString()
       }
@@ -63,22 +91,25 @@ router.post('/create-order', [
     // Save payment record
     const payment = new Payment({
       jobId,
+      contractId: contract._id,
+      milestoneId: milestone._id,
       payerId: req.user._id,
       payeeId: job.assignedTo._id,
       amount,
       razorpayOrderId: order.id,
-      description: description || `Payment for job: ${job.title}`
+      description: description || `Payment for milestone: ${milestone.title}`
     });
 
-    await payment.save();
+    try {
+      await payment.save();
+    } catch (error) {
+      // A concurrent request opened an order first; hand that one back
+      if (error.code !== 11000) throw error;
+      const existing = await Payment.findOne({ milestoneId: milestone._id, status: { $in: Payment.OPEN_STATUSES } });
+      return res.json(orderResponse(existing, 'Payment order already open for this milestone'));
+    }
 
-    res.json({
-      message: 'Payment order created successfully',
-      orderId: order.id,
-      amount: order.amount,
-      currency: order.currency,
-      paymentId: payment._id
-    });
+    res.json(orderResponse(payment, 'Payment order created successfully'));
   } catch (error) {
     console.error('Create order error:', error);
     res.status(500).json({ message: 'Server error creating payment order' });
@@ -116,6 +147,10 @@ router.post('/verify', [
       return res.status(404).json({ message: 'Payment record not found' });
     }
 
+    if (!payment.payerId || payment.payerId._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to verify this payment' });
+    }
+
     // Verify signature
     const body = razorpay_order_id + '|' + razorpay_payment_id;
     const expectedSignature = crypto
@@ -124,21 +159,23 @@ router.post('/verify', [
       .digest('hex');
 
     if (expectedSignature !== razorpay_signature) {
-      payment.status = 'failed';
-      await payment.save();
+      if (payment.status === 'created') {
+        payment.status = 'failed';
+        await payment.save();
+      }
       return res.status(400).json({ message: 'Invalid payment signature' });
     }
 
-    // Update payment status
-    payment.razorpayPaymentId = razorpay_payment_id;
-    payment.razorpaySignature = razorpay_signature;
-    payment.status = 'paid';
-    await payment.save();
+    // A replayed verification leaves a paid or refunded payment as it is
+    if (Payment.OPEN_STATUSES.includes(payment.status)) {
+      payment.razorpayPaymentId = razorpay_payment_id;
+      payment.razorpaySignature = razorpay_signature;
+      payment.status = 'paid';
+      await payment.save();
 
-    // Update job status to completed
-    await Job.findByIdAndUpdate(payment.jobId._id, {
-      status: 'completed'
-    });
+      // Funds stay in escrow until the client releases them
+      await fundPayment(payment);
+    }
 
     res.json({
       message: 'Payment verified successfully',
@@ -146,6 +183,7 @@ router.post('/verify', [
         id: payment._id,
         amount: payment.amount,
         status: payment.status,
+        escrowStatus: payment.escrowStatus,
         job: payment.jobId.title
       }
     });
@@ -172,15 +210,63 @@ router.get('/history', auth, async (req, res) => {
       .populate('jobId', 'title description')
       .populate('payerId', 'name email')
       .populate('payeeId', 'name email')
+      .populate('refunds.initiatedBy', 'name')
       .sort({ createdAt: -1 });
 
-    res.json({ payments });
+    res.json({
+      payments: payments.map(payment => ({
+        ...payment.toJSON(),
+        refundState: getRefundState(payment)
+      }))
+    });
   } catch (error) {
     console.error('Get payment history error:', error);
     res.status(500).json({ message: 'Server error fetching payment history' });
   }
 });
 
+// @route   GET /api/payment/balance
+// @desc    Get escrow balances for current user
+// @access  Private
+router.get('/balance', auth, async (req, res) => {
+  try {
+    const match = req.user.role === 'job_provider'
+      ? { payerId: req.user._id }
+      : { payeeId: req.user._id };
+
+    const totals = await Payment.aggregate([
+      { $match: { ...match, escrowStatus: { $in: ['funded', 'held', 'released'] } } },
+      {
+        $group: {
+          _id: '$escrowStatus',
+          amount: { $sum: { $subtract: ['$amount', { $ifNull: ['$amountRefunded', 0] }] } },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const balance = { funded: 0, held: 0, released: 0 };
+    totals.forEach(total => {
+      balance[total._id] = total.amount;
+    });
+
+    const nextRelease = await Payment.findOne({ ...match, escrowStatus: 'held' })
+      .sort({ autoReleaseAt: 1 })
+      .select('amount autoReleaseAt jobId');
+
+    res.json({
+      balance: {
+        ...balance,
+        inEscrow: balance.funded + balance.held
+      },
+      nextAutoRelease: nextRelease
+    });
+  } catch (error) {
+    console.error('Get balance error:', error);
+    res.status(500).json({ message: 'Server error fetching balance' });
+  }
+});
+
 // @route   GET /api/payment/:id
 // @desc    Get payment details by ID
 // @access  Private
@@ -208,6 +294,114 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/payment/:id/release
+// @desc    Release escrowed funds to the freelancer
+// @access  Private (Payer only)
+router.post('/:id/release', [auth, requireTwoFactor], async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    if (payment.payerId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to release this payment' });
+    }
+
+    if (!['funded', 'held'].includes(payment.escrowStatus)) {
+      return res.status(400).json({ message: 'Payment has no funds held in escrow' });
+    }
+
+    if (payment.frozen) {
+      return res.status(400).json({ message: 'Payment is frozen while its dispute is open' });
+    }
+
+    // Milestone funds are released once the client approves the submitted work
+    if (payment.contractId) {
+      const contract = await Contract.findById(payment.contractId);
+      const milestone = contract && contract.milestones.id(payment.milestoneId);
+      if (milestone && milestone.status !== 'approved') {
+        return res.status(400).json({ message: 'Approve the submitted work before releasing funds' });
+      }
+    }
+
+    await releasePayment(payment, req.user._id);
+
+    res.json({
+      message: 'Payment released successfully',
+      payment
+    });
+  } catch (error) {
+    console.error('Release payment error:', error);
+    res.status(500).json({ message: 'Server error releasing payment' });
+  }
+});
+
+// @route   POST /api/payment/:id/refund
+// @desc    Refund a captured payment in full or in part
+// @access  Private (Payer before delivery, payee any time)
+router.post('/:id/refund', [
+  auth,
+  requireTwoFactor,
+  body('amount').optional().isFloat({ min: 1 }).withMessage('Amount must be a positive number'),
+  body('reason').trim().isLength({ min: 5, max: 255 }).withMessage('Reason must be between 5 and 255 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const payment = await Payment.findById(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    const isPayer = payment.payerId.toString() === req.user._id.toString();
+    const isPayee = payment.payeeId.toString() === req.user._id.toString();
+
+    if (!isPayer && !isPayee) {
+      return res.status(403).json({ message: 'Not authorized to refund this payment' });
+    }
+
+    // Once work is delivered the client has to release or dispute instead
+    if (isPayer && payment.escrowStatus !== 'funded') {
+      return res.status(403).json({ message: 'Payment can only be refunded by the payer before work is delivered' });
+    }
+
+    if (!['paid', 'partially_refunded'].includes(payment.status)) {
+      return res.status(400).json({ message: 'Only captured payments can be refunded' });
+    }
+
+    if (payment.frozen) {
+      return res.status(400).json({ message: 'Payment is frozen while its dispute is open' });
+    }
+
+    const { amount, reason } = req.body;
+
+    if (amount !== undefined && Number(amount) > payment.refundableAmount) {
+      return res.status(400).json({ message: `Refund amount cannot exceed ${payment.refundableAmount}` });
+    }
+
+    const refund = await refundPayment(payment, {
+      amount,
+      reason,
+      initiatedBy: req.user._id
+    });
+
+    res.json({
+      message: 'Refund initiated successfully',
+      refund,
+      payment
+    });
+  } catch (error) {
+    console.error('Refund payment error:', error);
+    res.status(500).json({ message: 'Server error refunding payment' });
+  }
+});
+
 // @route   POST /api/payment/webhook
 // @desc    Handle Razorpay webhooks
 // @access  Public (but verified)
@@ -239,6 +433,14 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
         // Payment failed
         await handlePaymentFailed(event.payload.payment.entity);
         break;
+
+      case 'refund.processed':
+        await handleRefundUpdate(event.payload.refund.entity, 'processed');
+        break;
+
+      case 'refund.failed':
+        await handleRefundUpdate(event.payload.refund.entity, 'failed');
+        break;
       
       default:
         console.log('Unhandled webhook event:', event.event);
@@ -251,6 +453,17 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
   }
 });
 
+// Helper function to describe a payment's Razorpay order to the client
+function orderResponse(payment, message) {
+  return {
+    message,
+    orderId: payment.razorpayOrderId,
+    amount: Math.round(payment.amount * 100), // In paise
+    currency: 'INR',
+    paymentId: payment._id
+  };
+}
+
 // Helper function to handle successful payments
 async function handlePaymentCaptured(paymentData) {
   try {
@@ -258,15 +471,13 @@ async function handlePaymentCaptured(paymentData) {
       razorpayOrderId: paymentData.order_id
     });
 
-    if (payment) {
+    // Duplicate or late events for a paid or refunded payment are ignored
+    if (payment && Payment.OPEN_STATUSES.includes(payment.status)) {
       payment.status = 'paid';
       payment.razorpayPaymentId = paymentData.id;
       await payment.save();
 
-      // Update job status
-      await Job.findByIdAndUpdate(payment.jobId, {
-        status: 'completed'
-      });
+      await fundPayment(payment);
     }
   } catch (error) {
     console.error('Handle payment captured error:', error);
@@ -280,7 +491,8 @@ async function handlePaymentFailed(paymentData) {
       razorpayOrderId: paymentData.order_id
     });
 
-    if (payment) {
+    // A failed attempt doesn't undo a capture that already happened
+    if (payment && payment.status === 'created') {
       payment.status = 'failed';
       await payment.save();
     }
@@ -289,4 +501,28 @@ async function handlePaymentFailed(paymentData) {
   }
 }
 
+// Helper function to record the outcome of a refund
+async function handleRefundUpdate(refundData, status) {
+  try {
+    const payment = await Payment.findOne({
+      razorpayPaymentId: refundData.payment_id
+    });
+
+    if (payment) {
+      await settleRefund(payment, refundData, status);
+    }
+  } catch (error) {
+    console.error('Handle refund update error:', error);
+  }
+}
+
+// Helper function to summarise refunds for payment listings
+function getRefundState(payment) {
+  if (payment.refunds.length === 0) return 'none';
+  if (payment.refunds.some(refund => refund.status === 'pending')) return 'pending';
+  if (payment.status === 'refunded') return 'refunded';
+  if (payment.status === 'partially_refunded') return 'partially_refunded';
+  return 'failed';
+}
+
 module.exports = router;
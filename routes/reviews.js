@@ -0,0 +1,144 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Review = require('../models/Review');
+const Job = require('../models/Job');
+const { auth } = require('../middleware/auth');
+const { notify } = require('../utils/notify');
+const { reviewDeadline, revealReviews } = require('../utils/reviews');
+
+const router = express.Router();
+
+const categories = ['communication', 'quality', 'timeliness', 'professionalism'];
+
+// @route   POST /api/reviews
+// @desc    Review the other party on a completed job
+// @access  Private (Job creator or assigned freelancer)
+router.post('/', [
+  auth,
+  body('jobId').isMongoId().withMessage('Invalid job ID'),
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  body('comment').optional().trim().isLength({ max: 2000 }).withMessage('Comment cannot exceed 2000 characters'),
+  ...categories.map(category => body(`categoryScores.${category}`)
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage(`${category} score must be between 1 and 5`))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { jobId, rating, comment, categoryScores = {} } = req.body;
+
+    const job = await Job.findById(jobId);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    if (job.status !== 'completed') {
+      return res.status(400).json({ message: 'Reviews can only be left on completed jobs' });
+    }
+
+    const userId = req.user._id.toString();
+    const isClient = job.createdBy.toString() === userId;
+    const isFreelancer = job.assignedTo && job.assignedTo.toString() === userId;
+
+    if (!isClient && !isFreelancer) {
+      return res.status(403).json({ message: 'Not authorized to review this job' });
+    }
+
+    const deadline = reviewDeadline(job);
+    if (Date.now() > deadline.getTime()) {
+      return res.status(400).json({ message: 'The review period for this job has ended' });
+    }
+
+    const existingReview = await Review.findOne({ jobId, reviewerId: req.user._id });
+    if (existingReview) {
+      return res.status(400).json({ message: 'You have already reviewed this job' });
+    }
+
+    const scores = {};
+    categories.forEach(category => {
+      if (categoryScores[category] !== undefined) {
+        scores[category] = Number(categoryScores[category]);
+      }
+    });
+
+    const review = new Review({
+      jobId,
+      reviewerId: req.user._id,
+      revieweeId: isClient ? job.assignedTo : job.createdBy,
+      reviewerRole: isClient ? 'client' : 'freelancer',
+      rating,
+      comment,
+      categoryScores: scores,
+      revealAt: deadline
+    });
+
+    await review.save();
+
+    // Both sides are in, so reveal them together
+    const reviewsCount = await Review.countDocuments({ jobId });
+    if (reviewsCount >= 2) {
+      await revealReviews(job._id);
+      review.revealed = true;
+    } else {
+      await notify(review.revieweeId, 'review_received', `You received a review for "${job.title}"`, {
+        jobId: job._id,
+        revealAt: deadline
+      });
+    }
+
+    res.status(201).json({
+      message: review.revealed
+        ? 'Review submitted and revealed'
+        : 'Review submitted. It will be visible once the other party reviews or the review period ends',
+      review
+    });
+  } catch (error) {
+    console.error('Create review error:', error);
+    res.status(500).json({ message: 'Server error creating review' });
+  }
+});
+
+// @route   GET /api/reviews/job/:jobId
+// @desc    Get reviews for a job (hidden reviews only visible to their author)
+// @access  Private (Job creator or assigned freelancer)
+router.get('/job/:jobId', auth, async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const userId = req.user._id.toString();
+    if (job.createdBy.toString() !== userId && (!job.assignedTo || job.assignedTo.toString() !== userId)) {
+      return res.status(403).json({ message: 'Not authorized to view reviews for this job' });
+    }
+
+    const reviews = await Review.find({
+      jobId: job._id,
+      $or: [{ revealed: true }, { reviewerId: req.user._id }]
+    })
+      .populate('reviewerId', 'name profilePic')
+      .sort({ createdAt: -1 });
+
+    const awaitingOtherParty = await Review.exists({
+      jobId: job._id,
+      revealed: false,
+      reviewerId: { $ne: req.user._id }
+    });
+
+    res.json({
+      reviews,
+      awaitingYourReview: Boolean(awaitingOtherParty)
+    });
+  } catch (error) {
+    console.error('Get job reviews error:', error);
+    res.status(500).json({ message: 'Server error fetching reviews' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,197 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const SavedSearch = require('../models/SavedSearch');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_SAVED_SEARCHES = 20;
+
+const CATEGORIES = ['Web Development', 'Mobile Development', 'Design', 'Writing', 'Data Entry', 'Digital Marketing', 'Video Editing', 'Translation', 'Other'];
+
+const savedSearchValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+    body('filters').optional().isObject().withMessage('Filters must be an object'),
+    body('filters.category').optional({ checkFalsy: true }).isIn(CATEGORIES).withMessage('Invalid category'),
+    body('filters.skills').optional().isArray().withMessage('Skills must be an array'),
+    body('filters.budgetMin').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Minimum budget must be a positive number'),
+    body('filters.budgetMax').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Maximum budget must be a positive number'),
+    body('filters.search').optional().trim().isLength({ max: 200 }).withMessage('Search cannot exceed 200 characters'),
+    body('frequency').optional().isIn(['instant', 'daily', 'weekly']).withMessage('Frequency must be instant, daily or weekly'),
+    body('alertsEnabled').optional().isBoolean().withMessage('Alerts enabled must be true or false')
+  ];
+};
+
+// Keep only the supported filter fields
+const pickFilters = (filters = {}) => ({
+  category: filters.category || undefined,
+  skills: (filters.skills || []).map(skill => String(skill).trim()).filter(Boolean),
+  budgetMin: filters.budgetMin === undefined || filters.budgetMin === null ? undefined : Number(filters.budgetMin),
+  budgetMax: filters.budgetMax === undefined || filters.budgetMax === null ? undefined : Number(filters.budgetMax),
+  search: filters.search || undefined
+});
+
+// @route   GET /api/saved-searches
+// @desc    Get saved searches for current user
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ userId: req.user._id })
+      .select('-pendingJobs')
+      .sort({ createdAt: -1 });
+
+    res.json({ savedSearches });
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({ message: 'Server error fetching saved searches' });
+  }
+});
+
+// @route   GET /api/saved-searches/unsubscribe/:token
+// @desc    Look up the saved search behind an email unsubscribe link
+// @access  Public
+router.get('/unsubscribe/:token', async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOne({ unsubscribeToken: req.params.token });
+
+    if (!savedSearch) {
+      return res.status(404).json({ message: 'Invalid unsubscribe link' });
+    }
+
+    res.json({ name: savedSearch.name, alertsEnabled: savedSearch.alertsEnabled });
+  } catch (error) {
+    console.error('Get unsubscribe link error:', error);
+    res.status(500).json({ message: 'Server error checking unsubscribe link' });
+  }
+});
+
+// @route   POST /api/saved-searches/unsubscribe/:token
+// @desc    Turn off alerts for a saved search once the user confirms
+// @access  Public
+router.post('/unsubscribe/:token', async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOneAndUpdate(
+      { unsubscribeToken: req.params.token },
+      { alertsEnabled: false, pendingJobs: [] },
+      { new: true }
+    );
+
+    if (!savedSearch) {
+      return res.status(404).json({ message: 'Invalid unsubscribe link' });
+    }
+
+    res.json({ message: `You will no longer receive alerts for "${savedSearch.name}"` });
+  } catch (error) {
+    console.error('Unsubscribe saved search error:', error);
+    res.status(500).json({ message: 'Server error unsubscribing' });
+  }
+});
+
+// @route   POST /api/saved-searches
+// @desc    Save a named set of job filters
+// @access  Private
+router.post('/', [auth, ...savedSearchValidators(false)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const count = await SavedSearch.countDocuments({ userId: req.user._id });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({ message: `You can save up to ${MAX_SAVED_SEARCHES} searches` });
+    }
+
+    const { name, filters, frequency, alertsEnabled } = req.body;
+
+    const savedSearch = new SavedSearch({
+      userId: req.user._id,
+      name,
+      filters: pickFilters(filters),
+      frequency: frequency || 'daily',
+      alertsEnabled: alertsEnabled !== undefined ? alertsEnabled : true
+    });
+
+    await savedSearch.save();
+
+    res.status(201).json({
+      message: 'Search saved successfully',
+      savedSearch
+    });
+  } catch (error) {
+    console.error('Create saved search error:', error);
+    res.status(500).json({ message: 'Server error saving search' });
+  }
+});
+
+// @route   PUT /api/saved-searches/:id
+// @desc    Update a saved search
+// @access  Private (Owner only)
+router.put('/:id', [auth, ...savedSearchValidators(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const savedSearch = await SavedSearch.findById(req.params.id);
+
+    if (!savedSearch) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    if (savedSearch.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to update this saved search' });
+    }
+
+    const { name, filters, frequency, alertsEnabled } = req.body;
+
+    if (name !== undefined) savedSearch.name = name;
+    if (filters !== undefined) {
+      savedSearch.filters = pickFilters(filters);
+      // Jobs matched under the old filters no longer apply
+      savedSearch.pendingJobs = [];
+    }
+    if (frequency !== undefined) savedSearch.frequency = frequency;
+    if (alertsEnabled !== undefined) savedSearch.alertsEnabled = alertsEnabled;
+
+    await savedSearch.save();
+
+    res.json({
+      message: 'Saved search updated successfully',
+      savedSearch
+    });
+  } catch (error) {
+    console.error('Update saved search error:', error);
+    res.status(500).json({ message: 'Server error updating saved search' });
+  }
+});
+
+// @route   DELETE /api/saved-searches/:id
+// @desc    Delete a saved search
+// @access  Private (Owner only)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findById(req.params.id);
+
+    if (!savedSearch) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    if (savedSearch.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to delete this saved search' });
+    }
+
+    await SavedSearch.findByIdAndDelete(req.params.id);
+
+    res.json({ message: 'Saved search deleted successfully' });
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    res.status(500).json({ message: 'Server error deleting saved search' });
+  }
+});
+
+module.exports = router;
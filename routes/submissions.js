@@ -0,0 +1,261 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Submission = require('../models/Submission');
+const Contract = require('../models/Contract');
+const Payment = require('../models/Payment');
+const Job = require('../models/Job');
+const { auth, authorize } = require('../middleware/auth');
+const { notify } = require('../utils/notify');
+const { holdPayment, unholdPayment } = require('../utils/escrow');
+
+const router = express.Router();
+
+// @route   POST /api/submissions
+// @desc    Submit deliverables for a milestone of an in-progress job
+// @access  Private (Assigned freelancer only)
+router.post('/', [
+  auth,
+  authorize('freelancer'),
+  body('jobId').isMongoId().withMessage('Invalid job ID'),
+  body('milestoneId').isMongoId().withMessage('Invalid milestone ID'),
+  body('notes').trim().isLength({ min: 10, max: 5000 }).withMessage('Notes must be between 10 and 5000 characters'),
+  body('attachments').optional().isArray({ max: 10 }).withMessage('Attachments must be an array of up to 10 files'),
+  body('attachments.*.url').optional().isURL().withMessage('Attachment URL is invalid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { jobId, milestoneId, notes, attachments } = req.body;
+
+    const job = await Job.findById(jobId);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    if (!job.assignedTo || job.assignedTo.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Only the assigned freelancer can submit work' });
+    }
+
+    if (job.status !== 'in_progress') {
+      return res.status(400).json({ message: 'Work can only be submitted on jobs in progress' });
+    }
+
+    const contract = await Contract.findOne({ jobId: job._id, status: 'active' });
+    if (!contract) {
+      return res.status(404).json({ message: 'Contract not found for this job' });
+    }
+
+    const milestone = contract.milestones.id(milestoneId);
+    if (!milestone) {
+      return res.status(404).json({ message: 'Milestone not found' });
+    }
+
+    if (milestone.status === 'delivered') {
+      return res.status(400).json({ message: 'This milestone already has work awaiting review' });
+    }
+
+    if (!['agreed', 'funded'].includes(milestone.status)) {
+      return res.status(400).json({ message: `Cannot submit work for a milestone that is ${milestone.status}` });
+    }
+
+    const revision = await Submission.countDocuments({
+      contractId: contract._id,
+      milestoneId: milestone._id
+    });
+
+    const submission = new Submission({
+      jobId: job._id,
+      contractId: contract._id,
+      milestoneId: milestone._id,
+      freelancerId: req.user._id,
+      clientId: contract.clientId,
+      notes,
+      attachments: (attachments || []).map(({ url, filename }) => ({ url, filename })),
+      revision
+    });
+
+    await submission.save();
+
+    milestone.status = 'delivered';
+    milestone.deliveredAt = new Date();
+    await contract.save();
+
+    // Escrowed funds start the client's review window
+    const payment = await Payment.findOne({ milestoneId: milestone._id, escrowStatus: 'funded' });
+    if (payment) {
+      await holdPayment(payment);
+    }
+
+    await notify(contract.clientId, 'submission_received', `Work was submitted for "${milestone.title}"`, {
+      jobId: job._id,
+      contractId: contract._id,
+      milestoneId: milestone._id,
+      submissionId: submission._id
+    });
+
+    res.status(201).json({
+      message: 'Work submitted successfully',
+      submission,
+      contract
+    });
+  } catch (error) {
+    console.error('Create submission error:', error);
+    res.status(500).json({ message: 'Server error submitting work' });
+  }
+});
+
+// @route   GET /api/submissions/job/:jobId
+// @desc    Get all submissions for a job
+// @access  Private (Contract parties only)
+router.get('/job/:jobId', auth, async (req, res) => {
+  try {
+    const contract = await Contract.findOne({ jobId: req.params.jobId });
+
+    if (!contract) {
+      return res.status(404).json({ message: 'Contract not found for this job' });
+    }
+
+    if (!contract.isParty(req.user._id)) {
+      return res.status(403).json({ message: 'Not authorized to view these submissions' });
+    }
+
+    const submissions = await Submission.find({ jobId: req.params.jobId })
+      .populate('freelancerId', 'name profilePic')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      submissions,
+      revisionLimit: contract.revisionLimit
+    });
+  } catch (error) {
+    console.error('Get submissions error:', error);
+    res.status(500).json({ message: 'Server error fetching submissions' });
+  }
+});
+
+// @route   PUT /api/submissions/:id/approve
+// @desc    Approve submitted work so the milestone can be paid or released
+// @access  Private (Client only)
+router.put('/:id/approve', auth, async (req, res) => {
+  try {
+    const { submission, contract, milestone, error } = await loadForReview(req);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    submission.status = 'approved';
+    submission.reviewedAt = new Date();
+    await submission.save();
+
+    milestone.status = 'approved';
+    milestone.approvedAt = new Date();
+    await contract.save();
+
+    await notify(submission.freelancerId, 'submission_approved', `Your work for "${milestone.title}" was approved`, {
+      jobId: submission.jobId,
+      contractId: contract._id,
+      milestoneId: milestone._id,
+      submissionId: submission._id
+    });
+
+    res.json({
+      message: 'Submission approved successfully',
+      submission,
+      contract
+    });
+  } catch (error) {
+    console.error('Approve submission error:', error);
+    res.status(500).json({ message: 'Server error approving submission' });
+  }
+});
+
+// @route   PUT /api/submissions/:id/request-changes
+// @desc    Send submitted work back to the freelancer with comments
+// @access  Private (Client only)
+router.put('/:id/request-changes', [
+  auth,
+  body('feedback').trim().isLength({ min: 10, max: 2000 }).withMessage('Feedback must be between 10 and 2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { submission, contract, milestone, error } = await loadForReview(req);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    if (milestone.revisionsRequested >= contract.revisionLimit) {
+      return res.status(400).json({
+        message: `The revision limit of ${contract.revisionLimit} has been reached for this milestone`
+      });
+    }
+
+    submission.status = 'changes_requested';
+    submission.feedback = req.body.feedback;
+    submission.reviewedAt = new Date();
+    await submission.save();
+
+    // Pause the review window until the work is submitted again
+    const payment = await Payment.findOne({
+      milestoneId: milestone._id,
+      escrowStatus: { $in: ['funded', 'held'] }
+    });
+    if (payment) {
+      await unholdPayment(payment);
+    }
+
+    milestone.status = payment ? 'funded' : 'agreed';
+    milestone.deliveredAt = undefined;
+    milestone.revisionsRequested += 1;
+    await contract.save();
+
+    await notify(submission.freelancerId, 'submission_changes_requested', `Changes were requested for "${milestone.title}"`, {
+      jobId: submission.jobId,
+      contractId: contract._id,
+      milestoneId: milestone._id,
+      submissionId: submission._id,
+      revisionsRemaining: contract.revisionLimit - milestone.revisionsRequested
+    });
+
+    res.json({
+      message: 'Changes requested successfully',
+      submission,
+      contract
+    });
+  } catch (error) {
+    console.error('Request changes error:', error);
+    res.status(500).json({ message: 'Server error requesting changes' });
+  }
+});
+
+// Helper function to load a pending submission the current user may review
+async function loadForReview(req) {
+  const submission = await Submission.findById(req.params.id);
+  if (!submission) {
+    return { error: { status: 404, message: 'Submission not found' } };
+  }
+
+  if (submission.clientId.toString() !== req.user._id.toString()) {
+    return { error: { status: 403, message: 'Not authorized to review this submission' } };
+  }
+
+  if (submission.status !== 'pending') {
+    return { error: { status: 400, message: 'Submission has already been reviewed' } };
+  }
+
+  const contract = await Contract.findById(submission.contractId);
+  const milestone = contract && contract.milestones.id(submission.milestoneId);
+  if (!milestone || milestone.status !== 'delivered') {
+    return { error: { status: 400, message: 'Milestone is no longer awaiting review' } };
+  }
+
+  return { submission, contract, milestone };
+}
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const multer = require('multer');
 const cloudinary = require('cloudinary').v2;
 const { auth } = require('../middleware/auth');
+const { rateLimit, byUser } = require('../utils/rateLimiter');
 
 const router = express.Router();
 
@@ -33,10 +34,19 @@ const upload = multer({
   }
 });
 
+// Cap on uploads per user per hour, checked before any file is read
+const uploadQuota = rateLimit({
+  name: 'uploads',
+  windowMs: 60 * 60 * 1000,
+  max: Number(process.env.UPLOAD_HOURLY_QUOTA || 30),
+  key: byUser,
+  message: 'Upload limit reached, please try again later'
+});
+
 // @route   POST /api/upload/image
 // @desc    Upload image to Cloudinary
 // @access  Private
-router.post('/image', [auth, upload.single('image')], async (req, res) => {
+router.post('/image', [auth, uploadQuota, upload.single('image')], async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
@@ -74,7 +84,7 @@ router.post('/image', [auth, upload.single('image')], async (req, res) => {
 // @route   POST /api/upload/file
 // @desc    Upload file to Cloudinary
 // @access  Private
-router.post('/file', [auth, upload.single('file')], async (req, res) => {
+router.post('/file', [auth, uploadQuota, upload.single('file')], async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
@@ -111,7 +121,7 @@ router.post('/file', [auth, upload.single('file')], async (req, res) => {
 // @route   POST /api/upload/multiple
 // @desc    Upload multiple files to Cloudinary
 // @access  Private
-router.post('/multiple', [auth, upload.array('files', 5)], async (req, res) => {
+router.post('/multiple', [auth, uploadQuota, upload.array('files', 5)], async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({ message: 'No files uploaded' });
@@ -0,0 +1,56 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const Review = require('../models/Review');
+const User = require('../models/User');
+const { paginationRules } = require('../utils/pagination');
+
+const router = express.Router();
+
+// @route   GET /api/users/:id/reviews
+// @desc    Get revealed reviews a user has received
+// @access  Public
+router.get('/:id/reviews', [...paginationRules], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { page = 1, limit = 10 } = req.query;
+
+    const user = await User.findById(req.params.id).select('name rating reviewCount');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const query = { revieweeId: user._id, revealed: true };
+
+    const reviews = await Review.find(query)
+      .populate('reviewerId', 'name profilePic')
+      .populate('jobId', 'title')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip((page - 1) * limit);
+
+    const total = await Review.countDocuments(query);
+
+    res.json({
+      rating: user.rating,
+      reviewCount: user.reviewCount,
+      reviews,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get user reviews error:', error);
+    res.status(500).json({ message: 'Server error fetching reviews' });
+  }
+});
+
+module.exports = router;
@@ -4,21 +4,36 @@ const cors = require('cors');
 const dotenv = require('dotenv');
 const path = require('path');
 const http = require('http');
-const socketIo = require('socket.io');
 
 // Load environment variables
 dotenv.config();
 
+const { initSocket } = require('./utils/socket');
+const { schedule } = require('./utils/scheduler');
+const { releaseDuePayments } = require('./utils/escrow');
+const { processQueue } = require('./utils/mailer');
+const { revealDueReviews } = require('./utils/reviews');
+const { sendDigests } = require('./utils/jobAlerts');
+const { escalateOverdueDisputes, retryPendingRulings } = require('./utils/disputes');
+
 const app = express();
 const server = http.createServer(app);
-const io = socketIo(server, {
-  cors: {
-    origin: process.env.NODE_ENV === 'production' ? false : "http://localhost:5173",
-    methods: ["GET", "POST"]
+initSocket(server);
+
+// Behind a load balancer, TRUST_PROXY makes req.ip the real client address
+// ("true", a hop count like "1", or proxy addresses); rate limits are keyed on it
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  if (trustProxy === 'true') {
+    app.set('trust proxy', true);
+  } else {
+    app.set('trust proxy', Number.isNaN(Number(trustProxy)) ? trustProxy : Number(trustProxy));
   }
-});
+}
 
 // Middleware
+// Razorpay signs the raw webhook body, so it must reach the route unparsed
+app.use('/api/payment/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -45,23 +60,16 @@ app.use('/api/jobs', require('./routes/jobs'));
 app.use('/api/upload', require('./routes/upload'));
 app.use('/api/payment', require('./routes/payment'));
 app.use('/api/bids', require('./routes/bids'));
-
-// Socket.io for real-time chat
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
-
-  socket.on('join-room', (roomId) => {
-    socket.join(roomId);
-  });
-
-  socket.on('send-message', (data) => {
-    socket.to(data.roomId).emit('receive-message', data);
-  });
-
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-  });
-});
+app.use('/api/contracts', require('./routes/contracts'));
+app.use('/api/submissions', require('./routes/submissions'));
+app.use('/api/disputes', require('./routes/disputes'));
+app.use('/api/admin', require('./routes/admin'));
+app.use('/api/conversations', require('./routes/conversations'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/reviews', require('./routes/reviews'));
+app.use('/api/users', require('./routes/users'));
+app.use('/api/freelancers', require('./routes/freelancers'));
+app.use('/api/saved-searches', require('./routes/savedSearches'));
 
 // Serve static files in production
 // if (process.env.NODE_ENV === 'production') {
@@ -72,6 +80,14 @@ io.on('connection', (socket) => {
 //   });
 // }
 
+// Background tasks
+schedule('escrow-auto-release', Number(process.env.ESCROW_SWEEP_MINUTES || 15) * 60 * 1000, releaseDuePayments);
+schedule('email-queue', 60 * 1000, processQueue);
+schedule('review-reveal', 60 * 60 * 1000, revealDueReviews);
+schedule('job-alert-digests', 60 * 60 * 1000, sendDigests);
+schedule('dispute-deadlines', 60 * 60 * 1000, escalateOverdueDisputes);
+schedule('dispute-rulings', 15 * 60 * 1000, retryPendingRulings);
+
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
@@ -0,0 +1,171 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const { query, stubSaves, restoreMocks, startApp, signIn } = require('./helpers');
+
+const User = require('../models/User');
+const Job = require('../models/Job');
+const Bid = require('../models/Bid');
+const Payment = require('../models/Payment');
+const Dispute = require('../models/Dispute');
+const Session = require('../models/Session');
+const SavedSearch = require('../models/SavedSearch');
+const Notification = require('../models/Notification');
+const { deletionBlockers, anonymizeAccount } = require('../utils/account');
+const authRoutes = require('../routes/auth');
+
+const PASSWORD = 'secret-password-1';
+
+// Answer the lookups deleting an account makes: no open work, and nothing
+// to close out. Returns the mocks tests adjust or check.
+const stubCleanAccount = () => {
+  mock.method(Job, 'countDocuments', async () => 0);
+  mock.method(Dispute, 'countDocuments', async () => 0);
+  mock.method(SavedSearch, 'deleteMany', async () => ({}));
+  mock.method(Notification, 'deleteMany', async () => ({}));
+
+  return {
+    escrowed: mock.method(Payment, 'countDocuments', async () => 0),
+    openJobs: mock.method(Job, 'find', async () => []),
+    bidUpdates: mock.method(Bid, 'updateMany', async () => ({}))
+  };
+};
+
+describe('deactivated accounts', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/api/auth', authRoutes);
+  });
+
+  after(() => app.close());
+  afterEach(restoreMocks);
+
+  it('refuses requests made with an existing token', async () => {
+    const { token } = await signIn({ isActive: false });
+
+    const res = await fetch(`${app.url}/me`, { headers: { Authorization: `Bearer ${token}` } });
+
+    assert.equal(res.status, 403);
+    assert.equal((await res.json()).message, 'Account is deactivated');
+  });
+
+  it('refuses to sign in with the right password', async () => {
+    const user = new User({ name: 'Person', email: 'person@example.com', password: bcrypt.hashSync(PASSWORD, 4), role: 'freelancer', isActive: false });
+    mock.method(User, 'findOne', () => query(user));
+    const sessions = mock.method(Session, 'create', async (data) => new Session(data));
+
+    const res = await fetch(`${app.url}/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: user.email, password: PASSWORD })
+    });
+
+    assert.equal(res.status, 403);
+    assert.equal(sessions.mock.callCount(), 0);
+  });
+});
+
+describe('account deletion', () => {
+  beforeEach(() => {
+    stubSaves(User, Job);
+  });
+
+  afterEach(restoreMocks);
+
+  it('lists the work that has to be settled first', async () => {
+    mock.method(Job, 'countDocuments', async () => 1);
+    mock.method(Payment, 'countDocuments', async () => 2);
+    mock.method(Dispute, 'countDocuments', async () => 0);
+
+    assert.deepEqual(await deletionBlockers(new mongoose.Types.ObjectId()), [
+      '1 job(s) still in progress',
+      '2 payment(s) still held in escrow'
+    ]);
+  });
+
+  it('cancels open jobs, withdraws open bids and strips personal data', async () => {
+    const { openJobs, bidUpdates } = stubCleanAccount();
+    const user = new User({
+      name: 'Person',
+      email: 'person@example.com',
+      password: 'hashed',
+      role: 'job_provider',
+      bio: 'About me',
+      skills: ['React'],
+      identities: [{ provider: 'test', subject: 'subject-1' }]
+    });
+    const job = new Job({ title: 'Landing page', description: 'Build a landing page', category: 'Design', budget: 100, createdBy: user._id });
+    openJobs.mock.mockImplementation(async () => [job]);
+
+    await anonymizeAccount(user);
+
+    assert.equal(job.status, 'cancelled');
+    assert.equal(job.cancellationReason, 'Account deleted');
+
+    const [jobBids, ownBids] = bidUpdates.mock.calls.map(call => call.arguments);
+    assert.deepEqual(jobBids[0], { jobId: job._id, status: { $in: Bid.OPEN_STATUSES } });
+    assert.equal(jobBids[1].status, 'rejected');
+    assert.deepEqual(ownBids[0], { freelancerId: user._id, status: { $in: Bid.OPEN_STATUSES } });
+    assert.equal(ownBids[1].status, 'withdrawn');
+
+    assert.equal(user.name, 'Deleted user');
+    assert.equal(user.email, `deleted-${user._id}@deleted.invalid`);
+    assert.notEqual(user.password, 'hashed');
+    assert.equal(user.bio, '');
+    assert.deepEqual([...user.skills], []);
+    assert.equal(user.identities.length, 0);
+    assert.equal(user.isActive, false);
+    assert.ok(user.deletedAt);
+  });
+});
+
+describe('DELETE /api/auth/account', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/api/auth', authRoutes);
+  });
+
+  after(() => app.close());
+
+  beforeEach(() => {
+    stubSaves(User, Job);
+  });
+
+  afterEach(restoreMocks);
+
+  const deleteAccount = (token, body) => fetch(`${app.url}/account`, {
+    method: 'DELETE',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  });
+
+  it('deletes the account and revokes every session once the password is confirmed', async () => {
+    const { user, token } = await signIn({ password: bcrypt.hashSync(PASSWORD, 4) });
+    stubCleanAccount();
+    const revoked = mock.method(Session, 'updateMany', async () => ({}));
+
+    assert.equal((await deleteAccount(token, { password: 'wrong-password' })).status, 400);
+    assert.equal(user.isActive, true);
+
+    const res = await deleteAccount(token, { password: PASSWORD });
+
+    assert.equal(res.status, 200);
+    assert.equal(user.isActive, false);
+    assert.equal(String(revoked.mock.calls[0].arguments[0].userId), String(user._id));
+  });
+
+  it('keeps the account while work is still open', async () => {
+    const { user, token } = await signIn({ password: bcrypt.hashSync(PASSWORD, 4) });
+    const { escrowed } = stubCleanAccount();
+    escrowed.mock.mockImplementation(async () => 1);
+
+    const res = await deleteAccount(token, { password: PASSWORD });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual((await res.json()).blockers, ['1 payment(s) still held in escrow']);
+    assert.equal(user.isActive, true);
+  });
+});
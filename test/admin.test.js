@@ -0,0 +1,119 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query, stubSaves, stubMessaging, restoreMocks, startApp, signIn } = require('./helpers');
+
+const User = require('../models/User');
+const Job = require('../models/Job');
+const Bid = require('../models/Bid');
+const Session = require('../models/Session');
+const adminRoutes = require('../routes/admin');
+
+describe('admin moderation', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/api/admin', adminRoutes);
+  });
+
+  after(() => app.close());
+  afterEach(restoreMocks);
+
+  // Sign in as an admin; `target` is returned for any other user lookup
+  const signInAdmin = async (target = null) => {
+    const { user: admin, token } = await signIn({ role: 'admin' });
+    mock.method(User, 'findById', (id) => query(String(id) === String(admin._id) ? admin : target));
+
+    const send = (method, path, body) => fetch(`${app.url}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: body && JSON.stringify(body)
+    });
+
+    return { admin, send };
+  };
+
+  it('is closed to everyone but admins', async () => {
+    const { token } = await signIn({ role: 'job_provider' });
+
+    const res = await fetch(`${app.url}/users`, { headers: { Authorization: `Bearer ${token}` } });
+
+    assert.equal(res.status, 403);
+  });
+
+  it('refuses page sizes over 100', async () => {
+    const { send } = await signInAdmin();
+    const find = mock.method(User, 'find', () => query([]));
+
+    assert.equal((await send('GET', '/users?limit=500')).status, 400);
+    assert.equal((await send('GET', '/payments?page=0')).status, 400);
+    assert.equal(find.mock.callCount(), 0);
+  });
+
+  it('suspends a user and signs them out everywhere', async () => {
+    const target = new User({ name: 'Spammer', email: 'spam@example.com', role: 'freelancer' });
+    const { admin, send } = await signInAdmin(target);
+    stubSaves(User);
+    const revocations = mock.method(Session, 'updateMany', async () => ({ modifiedCount: 2 }));
+
+    const res = await send('PUT', `/users/${target._id}/suspend`, { reason: 'Posting spam links' });
+
+    assert.equal(res.status, 200);
+    assert.equal(target.isActive, false);
+    assert.equal(String(target.suspendedBy), String(admin._id));
+    assert.equal(revocations.mock.calls[0].arguments[0].userId, target._id);
+    assert.equal(revocations.mock.calls[0].arguments[1].revokedReason, 'account_suspended');
+  });
+
+  it('refuses to suspend another admin or to suspend without a reason', async () => {
+    const target = new User({ name: 'Other admin', email: 'admin2@example.com', role: 'admin' });
+    const { send } = await signInAdmin(target);
+    stubSaves(User);
+
+    assert.equal((await send('PUT', `/users/${target._id}/suspend`, { reason: 'No reason at all' })).status, 400);
+    assert.equal((await send('PUT', `/users/${target._id}/suspend`, { reason: '' })).status, 400);
+    assert.equal(target.isActive, true);
+  });
+
+  const buildJob = (fields = {}) => new Job({
+    title: 'Landing page',
+    description: 'Build a landing page',
+    category: 'Web Development',
+    budget: 1000,
+    createdBy: new mongoose.Types.ObjectId(),
+    ...fields
+  });
+
+  it('takes down an open job and rejects its open bids', async () => {
+    const { send } = await signInAdmin();
+    const job = buildJob();
+    const bid = new Bid({ jobId: job._id, freelancerId: new mongoose.Types.ObjectId(), bidAmount: 900, message: 'I can do it', deliveryTime: 5 });
+    mock.method(Job, 'findById', async () => job);
+    mock.method(Bid, 'find', async () => [bid]);
+    const bidUpdates = mock.method(Bid, 'updateMany', async () => ({ modifiedCount: 1 }));
+    stubSaves(Job);
+    const messaging = stubMessaging();
+
+    const res = await send('PUT', `/jobs/${job._id}/takedown`, { reason: 'Misleading listing' });
+
+    assert.equal(res.status, 200);
+    assert.equal(job.status, 'cancelled');
+    assert.ok(job.takenDownAt);
+    assert.deepEqual(bidUpdates.mock.calls[0].arguments[0]._id.$in, [bid._id]);
+    assert.equal(bidUpdates.mock.calls[0].arguments[1].status, 'rejected');
+    assert.equal(messaging.notifications.mock.callCount(), 2);
+  });
+
+  it('leaves hired jobs to the dispute process', async () => {
+    const { send } = await signInAdmin();
+    const job = buildJob({ assignedTo: new mongoose.Types.ObjectId(), status: 'in_progress' });
+    mock.method(Job, 'findById', async () => job);
+    stubSaves(Job);
+
+    const res = await send('PUT', `/jobs/${job._id}/takedown`, { reason: 'Misleading listing' });
+
+    assert.equal(res.status, 400);
+    assert.equal(job.status, 'in_progress');
+    assert.equal(job.takenDownAt, undefined);
+  });
+});
@@ -0,0 +1,211 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query, stubSaves, stubMessaging, restoreMocks, startApp, signIn } = require('./helpers');
+
+const Job = require('../models/Job');
+const Bid = require('../models/Bid');
+const bidRoutes = require('../routes/bids');
+
+// A bid on an open job, with the job populated
+const buildBid = ({ freelancerId, createdBy, ...fields } = {}) => {
+  const job = new Job({
+    title: 'Landing page',
+    description: 'Build a landing page',
+    category: 'Web Development',
+    budget: 1000,
+    createdBy: createdBy || new mongoose.Types.ObjectId()
+  });
+  const bid = new Bid({
+    freelancerId: freelancerId || new mongoose.Types.ObjectId(),
+    jobId: job,
+    bidAmount: 900,
+    message: 'I can build this in a week',
+    deliveryTime: 7,
+    ...fields
+  });
+
+  mock.method(Bid, 'findById', () => query(bid));
+  return { job, bid };
+};
+
+describe('PUT /api/bids/:id', () => {
+  let app;
+  let messaging;
+
+  before(async () => {
+    app = await startApp('/api/bids', bidRoutes);
+  });
+
+  after(() => app.close());
+
+  beforeEach(() => {
+    stubSaves(Bid);
+    messaging = stubMessaging();
+  });
+
+  afterEach(restoreMocks);
+
+  const setup = async (fields) => {
+    const { user, token } = await signIn({ role: 'freelancer' });
+    const { job, bid } = buildBid({ freelancerId: user._id, ...fields });
+
+    const edit = (body) => fetch(`${app.url}/${bid._id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify(body)
+    });
+
+    return { job, bid, edit };
+  };
+
+  it('keeps the previous terms in the revision history', async () => {
+    const { job, bid, edit } = await setup();
+
+    const res = await edit({ bidAmount: 850, message: 'I can build this in five days' });
+
+    assert.equal(res.status, 200);
+    assert.equal(bid.bidAmount, 850);
+    assert.equal(bid.revisions.length, 1);
+    assert.equal(bid.revisions[0].bidAmount, 900);
+    assert.equal(bid.revisions[0].message, 'I can build this in a week');
+    assert.equal(bid.revisions[0].deliveryTime, 7);
+    assert.ok(bid.lastRevisedAt);
+    assert.equal(String(messaging.notifications.mock.calls[0].arguments[0].userId), String(job.createdBy));
+  });
+
+  it('dates each revision from the previous edit', async () => {
+    const { bid, edit } = await setup();
+
+    await edit({ bidAmount: 850 });
+    const firstEdit = bid.lastRevisedAt;
+    await edit({ bidAmount: 800 });
+
+    assert.equal(bid.revisions.length, 2);
+    assert.equal(bid.revisions[1].bidAmount, 850);
+    assert.equal(bid.revisions[1].submittedAt.getTime(), firstEdit.getTime());
+  });
+
+  it('refuses an edit that changes nothing', async () => {
+    const { bid, edit } = await setup();
+
+    const res = await edit({ bidAmount: 900 });
+
+    assert.equal(res.status, 400);
+    assert.equal(bid.revisions.length, 0);
+  });
+
+  it('only edits pending bids on open jobs', async () => {
+    const { job, bid, edit } = await setup({ status: 'shortlisted' });
+
+    assert.equal((await edit({ bidAmount: 850 })).status, 400);
+
+    bid.status = 'pending';
+    job.status = 'cancelled';
+    assert.equal((await edit({ bidAmount: 850 })).status, 400);
+    assert.equal(bid.revisions.length, 0);
+  });
+
+  it("refuses to edit someone else's bid", async () => {
+    const { token } = await signIn({ role: 'freelancer' });
+    const { bid } = buildBid();
+
+    const res = await fetch(`${app.url}/${bid._id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ bidAmount: 850 })
+    });
+
+    assert.equal(res.status, 403);
+    assert.equal(bid.bidAmount, 900);
+  });
+});
+
+describe('bid pipeline', () => {
+  let app;
+  let messaging;
+
+  before(async () => {
+    app = await startApp('/api/bids', bidRoutes);
+  });
+
+  after(() => app.close());
+
+  beforeEach(() => {
+    stubSaves(Bid);
+    messaging = stubMessaging();
+  });
+
+  afterEach(restoreMocks);
+
+  const move = (token, bid, action, body = {}) => fetch(`${app.url}/${bid._id}/${action}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  });
+
+  // The job owner acting on a freelancer's bid
+  const asClient = async (fields) => {
+    const { user, token } = await signIn();
+    const { bid } = buildBid({ createdBy: user._id, ...fields });
+    bid.freelancerId = { _id: bid.freelancerId, name: 'Freelancer', email: 'freelancer@example.com' };
+    return { token, bid };
+  };
+
+  it('moves a bid through shortlist and interview, telling the freelancer', async () => {
+    const { token, bid } = await asClient();
+
+    assert.equal((await move(token, bid, 'shortlist')).status, 200);
+    assert.equal(bid.status, 'shortlisted');
+    assert.equal((await move(token, bid, 'interview')).status, 200);
+    assert.equal(bid.status, 'interviewing');
+    assert.ok(bid.statusChangedAt);
+
+    const types = messaging.notifications.mock.calls.map(call => call.arguments[0].type);
+    assert.deepEqual(types, ['bid_shortlisted', 'bid_interviewing']);
+  });
+
+  it('records the reason when a bid is rejected', async () => {
+    const { token, bid } = await asClient({ status: 'interviewing' });
+
+    const res = await move(token, bid, 'reject', { reason: 'Went with a local team' });
+
+    assert.equal(res.status, 200);
+    assert.equal(bid.status, 'rejected');
+    assert.equal(bid.rejectionReason, 'Went with a local team');
+    assert.equal(messaging.notifications.mock.calls[0].arguments[0].payload.reason, 'Went with a local team');
+    assert.equal(messaging.emails.mock.calls[0].arguments[0].template, 'bid_rejected');
+  });
+
+  it('never reopens a final bid', async () => {
+    const { token, bid } = await asClient({ status: 'rejected' });
+
+    const res = await move(token, bid, 'shortlist');
+
+    assert.equal(res.status, 400);
+    assert.equal(bid.status, 'rejected');
+  });
+
+  it('only lets the job owner move a bid', async () => {
+    const { token } = await signIn();
+    const { bid } = buildBid();
+
+    const res = await move(token, bid, 'shortlist');
+
+    assert.equal(res.status, 403);
+    assert.equal(bid.status, 'pending');
+  });
+
+  it('lets the freelancer withdraw an open bid but not an accepted one', async () => {
+    const { user, token } = await signIn({ role: 'freelancer' });
+    const { job, bid } = buildBid({ freelancerId: user._id, status: 'shortlisted' });
+
+    assert.equal((await move(token, bid, 'withdraw')).status, 200);
+    assert.equal(bid.status, 'withdrawn');
+    assert.equal(String(messaging.notifications.mock.calls[0].arguments[0].userId), String(job.createdBy));
+
+    bid.status = 'accepted';
+    assert.equal((await move(token, bid, 'withdraw')).status, 400);
+    assert.equal(bid.status, 'accepted');
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { stubSaves, restoreMocks, startApp, signIn } = require('./helpers');
+
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const { checkMessage, saveMessage } = require('../utils/chat');
+const conversationRoutes = require('../routes/conversations');
+
+const buildConversation = (clientId, freelancerId = new mongoose.Types.ObjectId()) => new Conversation({
+  jobId: new mongoose.Types.ObjectId(),
+  clientId,
+  freelancerId
+});
+
+describe('chat message rules', () => {
+  it('accepts text up to the limit and trims it', async () => {
+    const data = { text: `  ${'a'.repeat(5000)}  ` };
+
+    assert.equal(await checkMessage(data), null);
+    assert.equal(data.text.length, 5000);
+  });
+
+  it('refuses text over the limit', async () => {
+    assert.equal(await checkMessage({ text: 'a'.repeat(5001) }), 'Message cannot exceed 5000 characters');
+  });
+
+  it('refuses too many attachments and attachments without a URL', async () => {
+    const attachments = Array.from({ length: 6 }, (_, i) => ({ url: `https://files.example.com/${i}.pdf` }));
+
+    assert.equal(await checkMessage({ attachments }), 'Attachments must be an array of up to 5 files');
+    assert.equal(await checkMessage({ attachments: [{ url: 'not a url' }] }), 'Attachment URL is invalid');
+  });
+});
+
+describe('saving chat messages', () => {
+  afterEach(restoreMocks);
+
+  it('stores nothing when there is neither text nor an attachment', async () => {
+    const clientId = new mongoose.Types.ObjectId();
+    const updates = mock.method(Conversation, 'findByIdAndUpdate', async () => null);
+
+    assert.equal(await saveMessage(buildConversation(clientId), clientId, { text: '   ', attachments: [{}] }), null);
+    assert.equal(updates.mock.callCount(), 0);
+  });
+
+  it('bumps the unread count of the other participant', async () => {
+    const clientId = new mongoose.Types.ObjectId();
+    const conversation = buildConversation(clientId);
+    stubSaves(Message);
+    mock.method(Message.prototype, 'populate', async function() {
+      return this;
+    });
+    const updates = mock.method(Conversation, 'findByIdAndUpdate', async () => conversation);
+
+    const message = await saveMessage(conversation, clientId, { text: ' Hello ' });
+
+    assert.equal(message.text, 'Hello');
+    assert.deepEqual(updates.mock.calls[0].arguments[1].$inc, { freelancerUnread: 1 });
+  });
+});
+
+describe('POST /api/conversations/:id/messages', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/api/conversations', conversationRoutes);
+  });
+
+  after(() => app.close());
+  afterEach(restoreMocks);
+
+  it('refuses text over the shared limit', async () => {
+    const { user, token } = await signIn();
+    const conversation = buildConversation(user._id);
+    const lookups = mock.method(Conversation, 'findById', async () => conversation);
+
+    const res = await fetch(`${app.url}/${conversation._id}/messages`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: 'a'.repeat(5001) })
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).errors[0].msg, 'Message cannot exceed 5000 characters');
+    assert.equal(lookups.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { stubSaves, restoreMocks, startApp, signIn } = require('./helpers');
+
+const Contract = require('../models/Contract');
+const contractRoutes = require('../routes/contracts');
+
+describe('PUT /api/contracts/:id/milestones/:milestoneId/approve', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/api/contracts', contractRoutes);
+  });
+
+  after(() => app.close());
+  afterEach(restoreMocks);
+
+  // The freelancer approving a milestone the client proposed
+  const setup = async () => {
+    const { user, token } = await signIn({ role: 'freelancer' });
+    const clientId = new mongoose.Types.ObjectId();
+
+    const contract = new Contract({
+      jobId: new mongoose.Types.ObjectId(),
+      bidId: new mongoose.Types.ObjectId(),
+      clientId,
+      freelancerId: user._id,
+      milestones: [{ title: 'Design', amount: 500, dueDate: new Date(), order: 1, status: 'proposed', proposedBy: clientId }]
+    });
+    mock.method(Contract, 'findById', async () => contract);
+    stubSaves(Contract);
+
+    const approve = () => fetch(`${app.url}/${contract._id}/milestones/${contract.milestones[0]._id}/approve`, {
+      method: 'PUT',
+      headers: { Authorization: `Bearer ${token}` }
+    });
+
+    return { contract, approve };
+  };
+
+  it('agrees a milestone the other party proposed', async () => {
+    const { contract, approve } = await setup();
+
+    const res = await approve();
+
+    assert.equal(res.status, 200);
+    assert.equal(contract.milestones[0].status, 'agreed');
+  });
+
+  it('refuses milestones on a cancelled contract', async () => {
+    const { contract, approve } = await setup();
+    contract.status = 'cancelled';
+
+    const res = await approve();
+
+    assert.equal(res.status, 400);
+    assert.equal(contract.milestones[0].status, 'proposed');
+  });
+});
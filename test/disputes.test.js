@@ -0,0 +1,192 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query, stubSaves, stubMessaging, restoreMocks } = require('./helpers');
+
+const Job = require('../models/Job');
+const Contract = require('../models/Contract');
+const Payment = require('../models/Payment');
+const Dispute = require('../models/Dispute');
+const razorpay = require('../utils/razorpay');
+const { applyRuling, retryPendingRulings } = require('../utils/disputes');
+
+// A disputed job with one held, frozen milestone payment of 500
+const buildDispute = () => {
+  const clientId = new mongoose.Types.ObjectId();
+  const freelancerId = new mongoose.Types.ObjectId();
+  const adminId = new mongoose.Types.ObjectId();
+
+  const job = new Job({
+    title: 'Landing page',
+    description: 'Build a landing page',
+    category: 'web',
+    budget: 1000,
+    createdBy: clientId,
+    assignedTo: freelancerId,
+    status: 'disputed'
+  });
+  const contract = new Contract({
+    jobId: job._id,
+    bidId: new mongoose.Types.ObjectId(),
+    clientId,
+    freelancerId,
+    status: 'active',
+    milestones: [
+      { title: 'Design', amount: 500, dueDate: new Date(), order: 1, status: 'delivered' },
+      { title: 'Build', amount: 500, dueDate: new Date(), order: 2, status: 'agreed' }
+    ]
+  });
+  const payment = new Payment({
+    jobId: job._id,
+    contractId: contract._id,
+    milestoneId: contract.milestones[0]._id,
+    payerId: clientId,
+    payeeId: freelancerId,
+    amount: 500,
+    razorpayOrderId: 'order_1',
+    razorpayPaymentId: 'pay_1',
+    status: 'paid',
+    escrowStatus: 'held',
+    heldAt: new Date(),
+    frozen: true
+  });
+  const dispute = new Dispute({
+    jobId: job._id,
+    contractId: contract._id,
+    clientId,
+    freelancerId,
+    openedBy: clientId,
+    reason: 'quality_issues',
+    description: 'The design is incomplete',
+    paymentIds: [payment._id],
+    status: 'under_review'
+  });
+
+  mock.method(Payment, 'find', async () => [payment]);
+  mock.method(Payment, 'findById', async () => payment);
+  mock.method(Job, 'findById', () => query(job));
+
+  return { job, contract, payment, dispute, adminId };
+};
+
+describe('dispute rulings', () => {
+  let unfreeze;
+
+  beforeEach(() => {
+    stubSaves(Payment, Contract, Job, Dispute);
+    stubMessaging();
+    unfreeze = mock.method(Payment, 'updateMany', async () => ({ modifiedCount: 1 }));
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(restoreMocks);
+
+  it('splits escrow between the parties and resumes the job', async () => {
+    const { job, contract, payment, dispute, adminId } = buildDispute();
+    mock.method(Contract, 'findById', async () => contract);
+    const refunds = mock.method(razorpay.payments, 'refund', async () => ({ id: 'rfnd_1', status: 'processed' }));
+
+    await applyRuling(dispute, { outcome: 'split', freelancerAmount: 300, notes: 'Half done' }, adminId);
+
+    assert.equal(refunds.mock.calls[0].arguments[1].amount, 20000);
+    assert.equal(payment.amountRefunded, 200);
+    assert.equal(payment.escrowStatus, 'released');
+    assert.equal(dispute.status, 'resolved');
+    assert.ok(dispute.ruling.appliedAt);
+    assert.equal(job.status, 'in_progress');
+    assert.equal(unfreeze.mock.calls[0].arguments[1].frozen, false);
+  });
+
+  it('keeps a ruling whose refund failed and finishes it on retry', async () => {
+    const { job, contract, payment, dispute, adminId } = buildDispute();
+    mock.method(Contract, 'findById', async () => contract);
+    const refunds = mock.method(razorpay.payments, 'refund', async () => {
+      throw new Error('Gateway timeout');
+    });
+
+    await applyRuling(dispute, { outcome: 'split', freelancerAmount: 300 }, adminId);
+
+    assert.equal(dispute.status, 'resolving');
+    assert.equal(dispute.ruling.steps[0].lastError, 'Gateway timeout');
+    assert.equal(dispute.ruling.steps[1].completedAt, undefined);
+    assert.equal(payment.escrowStatus, 'held');
+    assert.equal(unfreeze.mock.callCount(), 0);
+    assert.equal(job.status, 'disputed');
+
+    refunds.mock.mockImplementation(async () => ({ id: 'rfnd_1', status: 'processed' }));
+    mock.method(Dispute, 'find', async () => [dispute]);
+
+    assert.equal(await retryPendingRulings(), 1);
+    assert.equal(dispute.status, 'resolved');
+    assert.equal(dispute.ruling.steps[0].attempts, 2);
+    assert.equal(payment.amountRefunded, 200);
+    assert.equal(payment.escrowStatus, 'released');
+    assert.equal(job.status, 'in_progress');
+  });
+
+  it('does not move money twice when a step failed after the payout went through', async () => {
+    const { contract, payment, dispute, adminId } = buildDispute();
+    const refunds = mock.method(razorpay.payments, 'refund', async () => ({ id: 'rfnd_1', status: 'processed' }));
+
+    // The release is saved on the payment, then the contract lookup fails
+    let lookups = 0;
+    mock.method(Contract, 'findById', async () => {
+      lookups += 1;
+      if (lookups === 2) throw new Error('Connection lost');
+      return contract;
+    });
+
+    await applyRuling(dispute, { outcome: 'split', freelancerAmount: 300 }, adminId);
+
+    assert.equal(dispute.status, 'resolving');
+    assert.equal(payment.escrowStatus, 'released');
+
+    mock.method(Dispute, 'find', async () => [dispute]);
+    await retryPendingRulings();
+
+    assert.equal(dispute.status, 'resolved');
+    assert.equal(refunds.mock.callCount(), 1);
+    assert.equal(payment.refunds.length, 1);
+  });
+
+  it('keeps the payment frozen when the release fails after the refund went through', async () => {
+    const { contract, payment, dispute, adminId } = buildDispute();
+    mock.method(Contract, 'findById', async () => contract);
+    mock.method(razorpay.payments, 'refund', async () => ({ id: 'rfnd_1', status: 'processed' }));
+
+    // The refund saves the payment, then saving the release fails
+    let saves = 0;
+    mock.method(Payment.prototype, 'save', async function() {
+      saves += 1;
+      if (saves === 2) throw new Error('Connection lost');
+      return this;
+    });
+
+    await applyRuling(dispute, { outcome: 'split', freelancerAmount: 300 }, adminId);
+
+    assert.equal(dispute.status, 'resolving');
+    assert.equal(dispute.ruling.steps[0].razorpayRefundId, 'rfnd_1');
+    assert.ok(dispute.ruling.steps[0].completedAt);
+    assert.equal(dispute.ruling.steps[1].lastError, 'Connection lost');
+    assert.equal(payment.frozen, true);
+    assert.equal(unfreeze.mock.callCount(), 0);
+  });
+
+  it('refunds again when an earlier refund only matches on amount', async () => {
+    const { contract, payment, dispute, adminId } = buildDispute();
+    mock.method(Contract, 'findById', async () => contract);
+
+    // A refund from an earlier ruling with the same outcome and amount
+    payment.refunds.push({ amount: 200, reason: 'Dispute ruling: split', razorpayRefundId: 'rfnd_old', status: 'processed' });
+    payment.amountRefunded = 200;
+    payment.status = 'partially_refunded';
+    const refunds = mock.method(razorpay.payments, 'refund', async () => ({ id: 'rfnd_2', status: 'processed' }));
+
+    await applyRuling(dispute, { outcome: 'split', freelancerAmount: 100 }, adminId);
+
+    assert.equal(refunds.mock.callCount(), 1);
+    assert.equal(dispute.ruling.steps[0].razorpayRefundId, 'rfnd_2');
+    assert.equal(payment.amountRefunded, 400);
+    assert.equal(dispute.status, 'resolved');
+  });
+});
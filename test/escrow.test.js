@@ -0,0 +1,196 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query, stubSaves, stubMessaging, restoreMocks } = require('./helpers');
+
+const User = require('../models/User');
+const Job = require('../models/Job');
+const Contract = require('../models/Contract');
+const Payment = require('../models/Payment');
+const razorpay = require('../utils/razorpay');
+const { fundPayment, holdPayment, unholdPayment, releasePayment, releaseDuePayments } = require('../utils/escrow');
+
+// A contract with one milestone and a captured payment for it
+const buildEscrow = ({ milestoneStatus = 'agreed', escrowStatus = 'pending', extraMilestones = [] } = {}) => {
+  const clientId = new mongoose.Types.ObjectId();
+  const freelancerId = new mongoose.Types.ObjectId();
+
+  const job = new Job({
+    title: 'Landing page',
+    description: 'Build a landing page',
+    category: 'web',
+    budget: 1000,
+    createdBy: clientId,
+    assignedTo: freelancerId,
+    status: 'in_progress'
+  });
+  const contract = new Contract({
+    jobId: job._id,
+    bidId: new mongoose.Types.ObjectId(),
+    clientId,
+    freelancerId,
+    status: 'active',
+    milestones: [
+      { title: 'Design', amount: 500, dueDate: new Date(), order: 1, status: milestoneStatus },
+      ...extraMilestones
+    ]
+  });
+  const payment = new Payment({
+    jobId: job._id,
+    contractId: contract._id,
+    milestoneId: contract.milestones[0]._id,
+    payerId: clientId,
+    payeeId: freelancerId,
+    amount: 500,
+    razorpayOrderId: 'order_1',
+    razorpayPaymentId: 'pay_1',
+    status: 'paid',
+    escrowStatus
+  });
+
+  mock.method(Contract, 'findById', async () => contract);
+  mock.method(Job, 'findById', () => query(job));
+  mock.method(User, 'findById', () => query(new User({ _id: clientId, name: 'Client', email: 'client@example.com', role: 'job_provider' })));
+
+  return { job, contract, payment, milestone: contract.milestones[0] };
+};
+
+describe('escrow', () => {
+  let messaging;
+
+  beforeEach(() => {
+    stubSaves(Payment, Contract, Job);
+    messaging = stubMessaging();
+  });
+
+  afterEach(restoreMocks);
+
+  it('funds a captured payment once and marks the milestone funded', async () => {
+    const { payment, milestone } = buildEscrow();
+
+    await fundPayment(payment);
+
+    assert.equal(payment.escrowStatus, 'funded');
+    assert.ok(payment.fundedAt);
+    assert.equal(milestone.status, 'funded');
+    assert.equal(messaging.notifications.mock.callCount(), 2);
+    assert.equal(messaging.emails.mock.calls[0].arguments[0].template, 'payment_receipt');
+
+    // A second verify or webhook for the same payment changes nothing
+    await fundPayment(payment);
+    assert.equal(messaging.notifications.mock.callCount(), 2);
+  });
+
+  it('releases straight away when the milestone was already approved', async () => {
+    const { payment, milestone, contract, job } = buildEscrow({ milestoneStatus: 'approved' });
+
+    await fundPayment(payment);
+
+    assert.equal(payment.escrowStatus, 'released');
+    assert.equal(milestone.status, 'released');
+    assert.equal(contract.status, 'completed');
+    assert.equal(job.status, 'completed');
+  });
+
+  it('holds a payment captured after the work was delivered', async () => {
+    const { payment, milestone } = buildEscrow({ milestoneStatus: 'delivered' });
+
+    await fundPayment(payment);
+
+    assert.equal(payment.escrowStatus, 'held');
+    assert.ok(payment.autoReleaseAt > new Date());
+    assert.ok(milestone.fundedAt);
+    assert.equal(milestone.status, 'delivered');
+  });
+
+  it('refunds a second capture for a milestone that is already funded', async () => {
+    const { payment, milestone, contract } = buildEscrow({ milestoneStatus: 'funded' });
+    milestone.fundedAt = new Date();
+    const refunds = mock.method(razorpay.payments, 'refund', async () => ({ id: 'rfnd_1', status: 'processed' }));
+
+    await fundPayment(payment);
+
+    assert.equal(refunds.mock.calls[0].arguments[1].amount, 50000);
+    assert.equal(payment.orphaned, true);
+    assert.equal(payment.status, 'refunded');
+    assert.equal(payment.escrowStatus, 'refunded');
+    assert.equal(milestone.status, 'funded');
+    assert.equal(contract.status, 'active');
+    assert.equal(messaging.notifications.mock.calls[0].arguments[0].type, 'payment_refunded');
+  });
+
+  it('refunds a capture that arrives after the contract was cancelled', async () => {
+    const { payment, milestone, contract } = buildEscrow();
+    contract.status = 'cancelled';
+    mock.method(razorpay.payments, 'refund', async () => ({ id: 'rfnd_1', status: 'processed' }));
+
+    await fundPayment(payment);
+
+    assert.equal(payment.escrowStatus, 'refunded');
+    assert.equal(milestone.status, 'agreed');
+  });
+
+  it('keeps an orphaned capture flagged when its refund fails', async () => {
+    const { payment, contract } = buildEscrow();
+    contract.status = 'completed';
+    mock.method(razorpay.payments, 'refund', async () => {
+      throw new Error('Gateway timeout');
+    });
+    mock.method(console, 'error', () => {});
+
+    await fundPayment(payment);
+
+    assert.equal(payment.orphaned, true);
+    assert.equal(payment.escrowStatus, 'funded');
+  });
+
+  it('starts and stops the review window on delivered work', async () => {
+    const { payment } = buildEscrow({ escrowStatus: 'funded' });
+
+    await holdPayment(payment);
+    assert.equal(payment.escrowStatus, 'held');
+    assert.ok(payment.autoReleaseAt > new Date());
+
+    await unholdPayment(payment);
+    assert.equal(payment.escrowStatus, 'funded');
+    assert.equal(payment.autoReleaseAt, undefined);
+  });
+
+  it('releases held funds and leaves the contract open while milestones remain', async () => {
+    const { payment, milestone, contract } = buildEscrow({
+      milestoneStatus: 'delivered',
+      escrowStatus: 'held',
+      extraMilestones: [{ title: 'Build', amount: 500, dueDate: new Date(), order: 2, status: 'agreed' }]
+    });
+    const clientId = payment.payerId;
+
+    await releasePayment(payment, clientId);
+
+    assert.equal(payment.escrowStatus, 'released');
+    assert.equal(payment.releaseType, 'manual');
+    assert.equal(milestone.status, 'released');
+    assert.equal(contract.status, 'active');
+  });
+
+  it('refuses to release pending or frozen payments', async () => {
+    const pending = buildEscrow().payment;
+    await assert.rejects(releasePayment(pending), /pending state/);
+
+    const frozen = buildEscrow({ escrowStatus: 'held' }).payment;
+    frozen.frozen = true;
+    await assert.rejects(releasePayment(frozen), /frozen by a dispute/);
+    assert.equal(frozen.escrowStatus, 'held');
+  });
+
+  it('auto-releases payments whose review window has passed', async () => {
+    const { payment } = buildEscrow({ milestoneStatus: 'delivered', escrowStatus: 'held' });
+    const find = mock.method(Payment, 'find', async () => [payment]);
+
+    const released = await releaseDuePayments();
+
+    assert.equal(released, 1);
+    assert.equal(payment.escrowStatus, 'released');
+    assert.equal(payment.releaseType, 'auto');
+    assert.equal(find.mock.calls[0].arguments[0].frozen.$ne, true);
+  });
+});
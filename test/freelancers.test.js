@@ -0,0 +1,63 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { query, restoreMocks, startApp } = require('./helpers');
+
+const User = require('../models/User');
+const Job = require('../models/Job');
+const Payment = require('../models/Payment');
+const freelancerRoutes = require('../routes/freelancers');
+
+describe('freelancer directory', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/api/freelancers', freelancerRoutes);
+  });
+
+  after(() => app.close());
+  afterEach(restoreMocks);
+
+  it('searches active freelancers with the skills taken literally', async () => {
+    const find = mock.method(User, 'find', () => query([]));
+    mock.method(User, 'countDocuments', async () => 0);
+
+    const res = await fetch(`${app.url}?skills=c%2B%2B,node.js&limit=5`);
+
+    assert.equal(res.status, 200);
+    const filter = find.mock.calls[0].arguments[0];
+    assert.equal(filter.role, 'freelancer');
+    assert.equal(filter.isActive, true);
+    assert.ok(filter.skills.$all[0].test('C++'));
+    assert.ok(!filter.skills.$all[1].test('nodexjs'));
+  });
+
+  it('refuses invalid page and limit values', async () => {
+    const find = mock.method(User, 'find', () => query([]));
+
+    assert.equal((await fetch(`${app.url}?limit=1000`)).status, 400);
+    assert.equal((await fetch(`${app.url}?page=0`)).status, 400);
+    assert.equal((await fetch(`${app.url}?page=abc`)).status, 400);
+    assert.equal(find.mock.callCount(), 0);
+  });
+
+  it('shows an earnings tier instead of amounts and no contact details', async () => {
+    const freelancer = new User({ name: 'Dev', email: 'dev@example.com', role: 'freelancer', skills: ['React'] });
+    mock.method(User, 'findOne', () => query(freelancer));
+    mock.method(Job, 'countDocuments', async () => 3);
+    mock.method(Payment, 'aggregate', async () => [{ _id: null, total: 60000 }]);
+
+    const res = await fetch(`${app.url}/${freelancer._id}`);
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.freelancer.earningsTier, 'established');
+    assert.equal(body.freelancer.completedJobs, 3);
+    assert.equal(body.freelancer.email, undefined);
+  });
+
+  it('answers 404 for a malformed id', async () => {
+    const res = await fetch(`${app.url}/not-an-id`);
+
+    assert.equal(res.status, 404);
+  });
+});
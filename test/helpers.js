@@ -0,0 +1,106 @@
+// Shared setup for the test suite. Tests run without a database: model
+// calls are replaced with `mock.method` and documents are built in memory.
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.RAZORPAY_KEY_ID = process.env.RAZORPAY_KEY_ID || 'rzp_test_key';
+process.env.RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || 'rzp-test-secret';
+process.env.FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const express = require('express');
+const mongoose = require('mongoose');
+const { mock } = require('node:test');
+
+// A model call that wasn't mocked fails straight away instead of waiting
+// for a connection
+mongoose.set('bufferCommands', false);
+
+const Session = require('../models/Session');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const EmailLog = require('../models/EmailLog');
+const { createSession } = require('../utils/tokens');
+
+// Stand-in for a Mongoose query resolving to `value`, supporting the
+// chained calls the app makes
+const query = (value) => {
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    skip: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  return chain;
+};
+
+// Let documents of these models "save" without a database
+const stubSaves = (...models) => models.forEach(Model => {
+  mock.method(Model.prototype, 'save', async function() {
+    return this;
+  });
+});
+
+// Swallow notifications and queued emails. Returns the mocks so tests can
+// check what was sent.
+const stubMessaging = () => ({
+  notifications: mock.method(Notification, 'create', async (data) => new Notification(data)),
+  emails: mock.method(EmailLog, 'create', async (data) => new EmailLog(data)),
+  claims: mock.method(EmailLog, 'findOneAndUpdate', async () => null)
+});
+
+// Restore every mock once background work started by the test (such as the
+// immediate send attempt of a queued email) has run
+const restoreMocks = async () => {
+  await new Promise(resolve => setImmediate(resolve));
+  mock.restoreAll();
+};
+
+// Serve a router the way server.js mounts it. Resolves to the base URL and
+// a close function.
+const startApp = (mountPath, router) => new Promise((resolve) => {
+  const app = express();
+  app.use('/api/payment/webhook', express.raw({ type: 'application/json' }));
+  app.use(express.json());
+  app.use(mountPath, router);
+
+  const server = app.listen(0, '127.0.0.1', () => {
+    resolve({
+      url: `http://127.0.0.1:${server.address().port}${mountPath}`,
+      close: () => new Promise(done => server.close(done))
+    });
+  });
+});
+
+// Build a user and a live session for it, and answer the lookups the auth
+// middleware makes. Resolves to the user and an access token.
+const signIn = async (fields = {}, { mfa = false } = {}) => {
+  const user = new User({
+    name: 'Test User',
+    email: `user-${new mongoose.Types.ObjectId()}@example.com`,
+    password: 'secret-password-1',
+    role: 'job_provider',
+    ...fields
+  });
+
+  let session;
+  mock.method(Session, 'create', async (data) => {
+    session = new Session(data);
+    return session;
+  });
+  const { token } = await createSession(user._id, { get: () => 'node-test', ip: '127.0.0.1' }, { mfa });
+
+  mock.method(Session, 'findById', () => query(session));
+  mock.method(User, 'findById', () => query(user));
+
+  return { user, session, token };
+};
+
+module.exports = {
+  query,
+  stubSaves,
+  stubMessaging,
+  restoreMocks,
+  startApp,
+  signIn
+};
@@ -0,0 +1,212 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query, stubSaves, stubMessaging, restoreMocks, startApp, signIn } = require('./helpers');
+
+const Job = require('../models/Job');
+const Bid = require('../models/Bid');
+const Contract = require('../models/Contract');
+const Payment = require('../models/Payment');
+const razorpay = require('../utils/razorpay');
+const { buildJobQuery, buildJobSort, SORT_OPTIONS } = require('../utils/jobFilters');
+const jobRoutes = require('../routes/jobs');
+
+describe('job listing filters', () => {
+  it('keeps facet filters apart from the base filter', () => {
+    const { base, facetFilters } = buildJobQuery({
+      category: 'Design,all',
+      experience_level: 'expert',
+      budget_min: '100',
+      budget_max: '500'
+    });
+
+    assert.deepEqual(base, { status: 'open', budget: { $gte: 100, $lte: 500 } });
+    assert.deepEqual(facetFilters, { category: { $in: ['Design'] }, experienceLevel: { $in: ['expert'] } });
+  });
+
+  it('matches skills exactly, ignoring case and regex characters', () => {
+    const { base } = buildJobQuery({ skills: 'c++, React', skills_match: 'all' });
+    const [cpp, react] = base.skills.$all;
+
+    assert.ok(cpp.test('C++'));
+    assert.ok(!cpp.test('cc'));
+    assert.ok(react.test('react'));
+    assert.ok(!react.test('React Native'));
+  });
+
+  it('only sorts by relevance for text searches', () => {
+    assert.deepEqual(buildJobSort('relevance', false), SORT_OPTIONS.newest);
+    assert.deepEqual(buildJobSort('relevance', true), SORT_OPTIONS.relevance);
+    assert.deepEqual(buildJobSort('unknown', false), SORT_OPTIONS.newest);
+  });
+});
+
+describe('GET /api/jobs', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/api/jobs', jobRoutes);
+  });
+
+  after(() => app.close());
+  afterEach(restoreMocks);
+
+  const stubListing = () => {
+    const finds = mock.method(Job, 'find', () => query([]));
+    mock.method(Job, 'countDocuments', async () => 25);
+    mock.method(Job, 'aggregate', async () => [{ category: [], experienceLevel: [], budgetType: [] }]);
+    return finds;
+  };
+
+  it('pages through open jobs', async () => {
+    stubListing();
+
+    const res = await fetch(`${app.url}?page=2&limit=10`);
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.totalPages, 3);
+    assert.equal(body.currentPage, 2);
+    assert.equal(body.total, 25);
+  });
+
+  it('refuses page sizes over 100 and pages below 1', async () => {
+    const finds = stubListing();
+
+    for (const params of ['limit=1000', 'limit=0', 'page=0', 'page=abc']) {
+      const res = await fetch(`${app.url}?${params}`);
+      assert.equal(res.status, 400, params);
+    }
+    assert.equal(finds.mock.callCount(), 0);
+  });
+});
+
+describe('job lifecycle', () => {
+  let app;
+  let messaging;
+
+  before(async () => {
+    app = await startApp('/api/jobs', jobRoutes);
+  });
+
+  after(() => app.close());
+
+  beforeEach(() => {
+    stubSaves(Job, Payment);
+    messaging = stubMessaging();
+  });
+
+  afterEach(restoreMocks);
+
+  const setup = async (fields = {}) => {
+    const { user, token } = await signIn();
+    const job = new Job({
+      title: 'Landing page',
+      description: 'Build a landing page',
+      category: 'Web Development',
+      budget: 1000,
+      createdBy: user._id,
+      ...fields
+    });
+    mock.method(Job, 'findById', async () => job);
+
+    const send = (method, path = '', body = {}) => fetch(`${app.url}/${job._id}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify(body)
+    });
+
+    return { job, send };
+  };
+
+  it('only allows the listed status changes', () => {
+    const job = new Job({ title: 'Job', description: 'A job', category: 'Design', budget: 100, createdBy: new mongoose.Types.ObjectId() });
+
+    assert.ok(job.canTransitionTo('paused'));
+    assert.ok(!job.canTransitionTo('completed'));
+
+    job.status = 'cancelled';
+    assert.ok(job.canTransitionTo('open'));
+    job.assignedTo = new mongoose.Types.ObjectId();
+    assert.ok(!job.canTransitionTo('open'));
+
+    job.status = 'completed';
+    assert.throws(() => job.transitionTo('open'), /Cannot change job status from completed to open/);
+  });
+
+  it('refuses status changes through the plain update route', async () => {
+    const { job, send } = await setup();
+
+    const res = await send('PUT', '', { status: 'completed' });
+
+    assert.equal(res.status, 400);
+    assert.equal(job.status, 'open');
+  });
+
+  it('cancels a job, refunding undelivered escrow and closing open bids', async () => {
+    const freelancerId = new mongoose.Types.ObjectId();
+    const { job, send } = await setup({ status: 'in_progress', assignedTo: freelancerId });
+    const payment = new Payment({
+      jobId: job._id,
+      payerId: job.createdBy,
+      payeeId: freelancerId,
+      amount: 500,
+      razorpayOrderId: 'order_1',
+      razorpayPaymentId: 'pay_1',
+      status: 'paid',
+      escrowStatus: 'funded'
+    });
+    const bid = new Bid({ freelancerId: new mongoose.Types.ObjectId(), jobId: job._id, bidAmount: 900, message: 'Pick me please', deliveryTime: 7 });
+    mock.method(Payment, 'find', async () => [payment]);
+    mock.method(Bid, 'find', async () => [bid]);
+    const closed = mock.method(Bid, 'updateMany', async () => ({}));
+    const contracts = mock.method(Contract, 'updateOne', async () => ({}));
+    mock.method(razorpay.payments, 'refund', async () => ({ id: 'rfnd_1', status: 'processed' }));
+
+    const res = await send('PUT', '/cancel', { reason: 'Budget was cut' });
+
+    assert.equal(res.status, 200);
+    assert.equal(job.status, 'cancelled');
+    assert.equal(job.statusHistory[0].reason, 'Budget was cut');
+    assert.equal(payment.status, 'refunded');
+    assert.deepEqual(contracts.mock.calls[0].arguments[1], { status: 'cancelled' });
+    assert.equal(closed.mock.calls[0].arguments[1].closedWithJob, true);
+    assert.equal(messaging.notifications.mock.callCount(), 2);
+  });
+
+  it('refuses to cancel while delivered work awaits review', async () => {
+    const { job, send } = await setup({ status: 'in_progress' });
+    mock.method(Payment, 'find', async () => [new Payment({ jobId: job._id, amount: 500, status: 'paid', escrowStatus: 'held' })]);
+
+    const res = await send('PUT', '/cancel', { reason: 'Budget was cut' });
+
+    assert.equal(res.status, 400);
+    assert.equal(job.status, 'in_progress');
+  });
+
+  it('reopens a cancelled job and restores the bids it closed', async () => {
+    const { job, send } = await setup({ status: 'cancelled', cancellationReason: 'Budget was cut' });
+    const restored = mock.method(Bid, 'updateMany', async () => ({}));
+
+    const res = await send('PUT', '/reopen');
+
+    assert.equal(res.status, 200);
+    assert.equal(job.status, 'open');
+    assert.equal(job.cancellationReason, undefined);
+    assert.deepEqual(restored.mock.calls[0].arguments[0], { jobId: job._id, status: 'rejected', closedWithJob: true });
+    assert.equal(restored.mock.calls[0].arguments[1].status, 'pending');
+  });
+
+  it('only deletes jobs that never hired anyone', async () => {
+    const { send } = await setup();
+    const contracts = mock.method(Contract, 'exists', async () => ({ _id: new mongoose.Types.ObjectId() }));
+    const deletes = mock.method(Job, 'findByIdAndDelete', async () => null);
+
+    assert.equal((await send('DELETE')).status, 400);
+
+    contracts.mock.mockImplementation(async () => null);
+    mock.method(Bid, 'deleteMany', async () => ({}));
+    assert.equal((await send('DELETE')).status, 200);
+    assert.equal(deletes.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,148 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubSaves, restoreMocks } = require('./helpers');
+
+const EmailLog = require('../models/EmailLog');
+const { renderTemplate } = require('../utils/emailTemplates');
+const { queueEmail, processQueue, setTransport } = require('../utils/mailer');
+
+// Hand `email` to the next processQueue run and send through `sendMail`
+const queueOne = (email, sendMail) => {
+  let pending = email;
+  mock.method(EmailLog, 'findOneAndUpdate', async () => {
+    const claimed = pending;
+    pending = null;
+    return claimed;
+  });
+  stubSaves(EmailLog);
+
+  const transport = { sendMail: mock.fn(sendMail) };
+  setTransport(transport);
+  return transport;
+};
+
+const resetEmail = () => new EmailLog({
+  template: 'password_reset',
+  to: 'person@example.com',
+  variables: { resetUrl: 'http://localhost:5173/reset-password/raw-token' },
+  status: 'sending'
+});
+
+describe('email templates', () => {
+  it('escapes variables in the html body but not in the text body', () => {
+    const email = renderTemplate('bid_received', {
+      name: 'Client',
+      freelancerName: '<script>alert(1)</script>',
+      bidAmount: 500,
+      jobTitle: 'Tom & Jerry',
+      jobUrl: 'http://localhost:5173/jobs/1'
+    });
+
+    assert.equal(email.subject, 'New bid on "Tom & Jerry"');
+    assert.match(email.html, /&lt;script&gt;alert\(1\)&lt;\/script&gt; bid ₹500 on "Tom &amp; Jerry"/);
+    assert.match(email.text, /<script>alert\(1\)<\/script> bid ₹500/);
+  });
+
+  it('inserts pre-built html as is and fills in the app URL', () => {
+    const email = renderTemplate('job_digest', { jobsHtml: '<li>React dashboard</li>', unsubscribeUrl: 'u' });
+
+    assert.match(email.html, /<ul><li>React dashboard<\/li><\/ul>/);
+    assert.ok(renderTemplate('bid_rejected', {}).text.endsWith(`Find more jobs: ${process.env.FRONTEND_URL}`));
+  });
+
+  it('refuses unknown templates', () => {
+    assert.throws(() => renderTemplate('missing'), /Unknown email template: missing/);
+  });
+});
+
+describe('email queue', () => {
+  afterEach(async () => {
+    setTransport(null);
+    await restoreMocks();
+  });
+
+  it('backs off exponentially after a failed send', async () => {
+    const email = resetEmail();
+    email.attempts.push({ attemptedAt: new Date(), success: false });
+    queueOne(email, async () => {
+      throw new Error('Connection refused');
+    });
+    mock.method(console, 'error', () => {});
+
+    const before = Date.now();
+    await processQueue();
+
+    assert.equal(email.status, 'queued');
+    assert.equal(email.attempts.length, 2);
+    assert.ok(email.nextAttemptAt.getTime() >= before + 2 * 60 * 1000);
+  });
+
+  it('does not queue an email for an unknown template', async () => {
+    const create = mock.method(EmailLog, 'create', async (data) => new EmailLog(data));
+    mock.method(console, 'error', () => {});
+
+    assert.equal(await queueEmail('missing', 'person@example.com'), null);
+    assert.equal(create.mock.callCount(), 0);
+  });
+});
+
+describe('email log secrets', () => {
+  afterEach(async () => {
+    setTransport(null);
+    await restoreMocks();
+  });
+
+  it('sends the reset link and then blanks it in the log', async () => {
+    const email = resetEmail();
+    const transport = queueOne(email, async () => ({ messageId: 'message-1' }));
+
+    await processQueue();
+
+    assert.match(transport.sendMail.mock.calls[0].arguments[0].text, /reset-password\/raw-token/);
+    assert.equal(email.status, 'sent');
+    assert.equal(email.variables.resetUrl, '[redacted]');
+  });
+
+  it('keeps the reset link while the email will be retried', async () => {
+    const email = resetEmail();
+    queueOne(email, async () => {
+      throw new Error('Connection refused');
+    });
+    mock.method(console, 'error', () => {});
+
+    await processQueue();
+
+    assert.equal(email.status, 'queued');
+    assert.equal(email.variables.resetUrl, 'http://localhost:5173/reset-password/raw-token');
+  });
+
+  it('blanks the reset link once the email has failed for good', async () => {
+    const email = resetEmail();
+    email.attempts = Array.from({ length: 4 }, () => ({ attemptedAt: new Date(), success: false }));
+    queueOne(email, async () => {
+      throw new Error('Connection refused');
+    });
+    mock.method(console, 'error', () => {});
+
+    await processQueue();
+
+    assert.equal(email.status, 'failed');
+    assert.equal(email.variables.resetUrl, '[redacted]');
+  });
+
+  it('blanks the verification link once the email is sent', async () => {
+    const email = new EmailLog({
+      template: 'verify_email',
+      to: 'person@example.com',
+      variables: { name: 'Person', verifyUrl: 'http://localhost:5173/verify-email/raw-token' },
+      status: 'sending'
+    });
+    queueOne(email, async () => ({ messageId: 'message-2' }));
+
+    await processQueue();
+
+    assert.equal(email.status, 'sent');
+    assert.equal(email.variables.verifyUrl, '[redacted]');
+    assert.equal(email.variables.name, 'Person');
+  });
+});
@@ -0,0 +1,55 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query, stubSaves, restoreMocks, startApp, signIn } = require('./helpers');
+
+const Notification = require('../models/Notification');
+const notificationRoutes = require('../routes/notifications');
+
+describe('notification center', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/api/notifications', notificationRoutes);
+  });
+
+  after(() => app.close());
+  afterEach(restoreMocks);
+
+  it("lists only the user's own notifications, a page at a time", async () => {
+    const { user, token } = await signIn();
+    const find = mock.method(Notification, 'find', () => query([]));
+    mock.method(Notification, 'countDocuments', async () => 45);
+
+    const res = await fetch(`${app.url}?page=2&limit=20&unread=true`, { headers: { Authorization: `Bearer ${token}` } });
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(find.mock.calls[0].arguments[0].userId, user._id);
+    assert.equal(find.mock.calls[0].arguments[0].read, false);
+    assert.equal(body.totalPages, 3);
+    assert.equal(body.currentPage, 2);
+  });
+
+  it('refuses page sizes over 100', async () => {
+    const { token } = await signIn();
+    const find = mock.method(Notification, 'find', () => query([]));
+
+    const res = await fetch(`${app.url}?limit=100000`, { headers: { Authorization: `Bearer ${token}` } });
+
+    assert.equal(res.status, 400);
+    assert.equal(find.mock.callCount(), 0);
+  });
+
+  it("refuses to mark someone else's notification as read", async () => {
+    const { token } = await signIn();
+    const notification = new Notification({ userId: new mongoose.Types.ObjectId(), type: 'job_alert', title: 'New job' });
+    mock.method(Notification, 'findById', async () => notification);
+    stubSaves(Notification);
+
+    const res = await fetch(`${app.url}/${notification._id}/read`, { method: 'PUT', headers: { Authorization: `Bearer ${token}` } });
+
+    assert.equal(res.status, 403);
+    assert.equal(notification.read, false);
+  });
+});
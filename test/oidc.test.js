@@ -0,0 +1,204 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const { restoreMocks } = require('./helpers');
+
+const OidcRequest = require('../models/OidcRequest');
+const oidc = require('../utils/oidc');
+
+const CLIENT_ID = 'platform-client';
+const CLIENT_SECRET = 'platform-secret';
+const NONCE = 'expected-nonce';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig', alg: 'RS256' };
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+// A minimal OpenID provider: discovery, JWKS, and a token endpoint handing
+// out whatever ID token the current test prepared
+const startProvider = () => new Promise((resolve) => {
+  const provider = { requests: [], idToken: null };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json');
+      if (req.url === '/.well-known/openid-configuration') {
+        return res.end(JSON.stringify({
+          issuer: provider.issuer,
+          authorization_endpoint: `${provider.issuer}/authorize`,
+          token_endpoint: `${provider.issuer}/token`,
+          jwks_uri: `${provider.issuer}/jwks`
+        }));
+      }
+      if (req.url === '/jwks') {
+        return res.end(JSON.stringify({ keys: [jwk] }));
+      }
+      if (req.url === '/token') {
+        provider.requests.push({ headers: req.headers, params: new URLSearchParams(body) });
+        return res.end(JSON.stringify({ access_token: 'access', token_type: 'Bearer', id_token: provider.idToken }));
+      }
+      res.statusCode = 404;
+      res.end('{}');
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    provider.issuer = `http://127.0.0.1:${server.address().port}`;
+    provider.close = () => new Promise(done => server.close(done));
+    resolve(provider);
+  });
+});
+
+describe('OpenID Connect', () => {
+  let idp;
+  let provider;
+
+  const idToken = (claims = {}, options = {}) => jwt.sign({
+    sub: 'subject-1',
+    email: 'Person@Example.com',
+    email_verified: true,
+    name: 'Person',
+    nonce: NONCE,
+    ...claims
+  }, privateKey, {
+    algorithm: 'RS256',
+    keyid: 'key-1',
+    issuer: idp.issuer,
+    audience: CLIENT_ID,
+    expiresIn: '5m',
+    ...options
+  });
+
+  const request = { redirectUri: 'http://localhost:5173/auth/oidc/test/callback', codeVerifier: 'the-verifier', nonce: NONCE };
+
+  before(async () => {
+    idp = await startProvider();
+    // Providers are read from the environment on first use
+    process.env.OIDC_PROVIDERS = JSON.stringify([
+      { id: 'test', name: 'Test', issuer: idp.issuer, clientId: CLIENT_ID, clientSecret: CLIENT_SECRET }
+    ]);
+    provider = oidc.getProvider('test');
+  });
+
+  after(() => idp.close());
+
+  beforeEach(() => {
+    idp.requests = [];
+  });
+
+  afterEach(restoreMocks);
+
+  it('builds an authorization URL with PKCE and a nonce', async () => {
+    const create = mock.method(OidcRequest, 'create', async (data) => data);
+
+    const url = new URL(await oidc.startAuthorization(provider, { intent: 'login' }));
+    const stored = create.mock.calls[0].arguments[0];
+
+    assert.equal(url.origin + url.pathname, `${idp.issuer}/authorize`);
+    assert.equal(url.searchParams.get('client_id'), CLIENT_ID);
+    assert.equal(url.searchParams.get('nonce'), stored.nonce);
+    assert.equal(url.searchParams.get('code_challenge_method'), 'S256');
+    assert.equal(
+      url.searchParams.get('code_challenge'),
+      crypto.createHash('sha256').update(stored.codeVerifier).digest('base64url')
+    );
+
+    // Only a hash of the state is kept, and the verifier never leaves the server
+    assert.equal(stored.stateHash, crypto.createHash('sha256').update(url.searchParams.get('state')).digest('hex'));
+    assert.equal(url.searchParams.get('code_verifier'), null);
+  });
+
+  it('looks up a pending request by state hash and intent', async () => {
+    const findOneAndDelete = mock.method(OidcRequest, 'findOneAndDelete', async () => null);
+
+    await oidc.consumeRequest(provider, 'some-state', 'link');
+    const filter = findOneAndDelete.mock.calls[0].arguments[0];
+
+    assert.equal(filter.stateHash, crypto.createHash('sha256').update('some-state').digest('hex'));
+    assert.equal(filter.provider, 'test');
+    assert.equal(filter.intent, 'link');
+    assert.ok(filter.expiresAt.$gt instanceof Date);
+  });
+
+  it('redeems the code with the PKCE verifier and returns the verified identity', async () => {
+    idp.idToken = idToken();
+
+    const identity = await oidc.completeAuthorization(provider, request, 'auth-code');
+    const [tokenRequest] = idp.requests;
+
+    assert.equal(tokenRequest.params.get('code'), 'auth-code');
+    assert.equal(tokenRequest.params.get('code_verifier'), 'the-verifier');
+    assert.equal(tokenRequest.params.get('redirect_uri'), request.redirectUri);
+    assert.equal(
+      tokenRequest.headers.authorization,
+      `Basic ${Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64')}`
+    );
+    assert.equal(tokenRequest.params.get('client_secret'), null);
+
+    assert.deepEqual(identity, {
+      provider: 'test',
+      subject: 'subject-1',
+      email: 'person@example.com',
+      emailVerified: true,
+      name: 'Person',
+      picture: ''
+    });
+  });
+
+  it('rejects an ID token with another nonce', async () => {
+    idp.idToken = idToken({ nonce: 'replayed-nonce' });
+
+    await assert.rejects(oidc.completeAuthorization(provider, request, 'auth-code'), /nonce does not match/);
+  });
+
+  it('rejects an ID token for another client or from another issuer', async () => {
+    idp.idToken = idToken({}, { audience: 'someone-else' });
+    await assert.rejects(oidc.completeAuthorization(provider, request, 'auth-code'), /audience invalid/);
+
+    idp.idToken = idToken({}, { issuer: 'https://evil.example.com' });
+    await assert.rejects(oidc.completeAuthorization(provider, request, 'auth-code'), /issuer invalid/);
+  });
+
+  it('rejects expired ID tokens', async () => {
+    idp.idToken = idToken({ iat: Math.floor(Date.now() / 1000) - 3600 });
+
+    await assert.rejects(oidc.completeAuthorization(provider, request, 'auth-code'), /expired/);
+  });
+
+  it('rejects unsigned and symmetrically signed ID tokens', async () => {
+    const claims = { sub: 'subject-1', nonce: NONCE, iss: idp.issuer, aud: CLIENT_ID, exp: Math.floor(Date.now() / 1000) + 300 };
+
+    idp.idToken = `${encode({ alg: 'none', typ: 'JWT' })}.${encode(claims)}.`;
+    await assert.rejects(oidc.completeAuthorization(provider, request, 'auth-code'), /unsupported algorithm/);
+
+    // Signed with the client secret, as an attacker who knows it could
+    idp.idToken = jwt.sign(claims, CLIENT_SECRET, { algorithm: 'HS256', keyid: 'key-1' });
+    await assert.rejects(oidc.completeAuthorization(provider, request, 'auth-code'), /unsupported algorithm/);
+  });
+
+  it('rejects ID tokens signed with a key the provider does not publish', async () => {
+    const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    idp.idToken = jwt.sign({ sub: 'subject-1', nonce: NONCE }, otherKey, {
+      algorithm: 'RS256',
+      keyid: 'key-1',
+      issuer: idp.issuer,
+      audience: CLIENT_ID,
+      expiresIn: '5m'
+    });
+
+    await assert.rejects(oidc.completeAuthorization(provider, request, 'auth-code'), /invalid signature/);
+  });
+
+  it('round-trips the signup token and refuses other tokens', () => {
+    const identity = { provider: 'test', subject: 'subject-1', email: 'person@example.com' };
+
+    assert.deepEqual(oidc.verifySignupToken(oidc.signSignupToken(identity)), identity);
+    assert.equal(oidc.verifySignupToken(jwt.sign({ identity }, process.env.JWT_SECRET)), null);
+    assert.equal(oidc.verifySignupToken('garbage'), null);
+  });
+});
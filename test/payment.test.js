@@ -0,0 +1,253 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { query, stubSaves, stubMessaging, restoreMocks, startApp, signIn } = require('./helpers');
+
+const User = require('../models/User');
+const Job = require('../models/Job');
+const Contract = require('../models/Contract');
+const Payment = require('../models/Payment');
+const razorpay = require('../utils/razorpay');
+const paymentRoutes = require('../routes/payment');
+
+describe('POST /api/payment/create-order', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/api/payment', paymentRoutes);
+  });
+
+  after(() => app.close());
+  afterEach(restoreMocks);
+
+  // A client with an assigned job and one agreed, unpaid milestone
+  const setup = async () => {
+    const { user, token } = await signIn({ role: 'job_provider' });
+    const freelancerId = new mongoose.Types.ObjectId();
+
+    const contract = new Contract({
+      jobId: new mongoose.Types.ObjectId(),
+      bidId: new mongoose.Types.ObjectId(),
+      clientId: user._id,
+      freelancerId,
+      milestones: [{ title: 'Design', amount: 500, dueDate: new Date(), order: 1, status: 'agreed' }]
+    });
+    const job = { _id: contract.jobId, createdBy: user._id, assignedTo: { _id: freelancerId }, status: 'in_progress' };
+
+    mock.method(Job, 'findById', () => query(job));
+    mock.method(Contract, 'findOne', async () => contract);
+    stubSaves(Payment);
+
+    const createOrder = (milestone = contract.milestones[0]) => fetch(`${app.url}/create-order`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ jobId: job._id.toString(), milestoneId: milestone._id.toString() })
+    });
+
+    return { user, job, contract, createOrder };
+  };
+
+  it('creates a Razorpay order for an agreed milestone', async () => {
+    const { createOrder } = await setup();
+    mock.method(Payment, 'findOne', async () => null);
+    const orders = mock.method(razorpay.orders, 'create', async (options) => ({ id: 'order_new', ...options }));
+
+    const res = await createOrder();
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.orderId, 'order_new');
+    assert.equal(body.amount, 50000);
+    assert.equal(orders.mock.callCount(), 1);
+  });
+
+  it('hands back the open order instead of creating a second one', async () => {
+    const { user, contract, createOrder } = await setup();
+    const openPayment = new Payment({
+      jobId: contract.jobId,
+      contractId: contract._id,
+      milestoneId: contract.milestones[0]._id,
+      payerId: user._id,
+      payeeId: contract.freelancerId,
+      amount: 500,
+      razorpayOrderId: 'order_open'
+    });
+    mock.method(Payment, 'findOne', async () => openPayment);
+    const orders = mock.method(razorpay.orders, 'create', async () => ({ id: 'order_second' }));
+
+    const res = await createOrder();
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.orderId, 'order_open');
+    assert.equal(body.paymentId, openPayment._id.toString());
+    assert.equal(orders.mock.callCount(), 0);
+  });
+
+  it('hands back a failed order, which can still be paid', async () => {
+    const { user, contract, createOrder } = await setup();
+    const failedPayment = new Payment({
+      jobId: contract.jobId,
+      contractId: contract._id,
+      milestoneId: contract.milestones[0]._id,
+      payerId: user._id,
+      payeeId: contract.freelancerId,
+      amount: 500,
+      razorpayOrderId: 'order_failed',
+      status: 'failed'
+    });
+    const findOne = mock.method(Payment, 'findOne', async () => failedPayment);
+    const orders = mock.method(razorpay.orders, 'create', async () => ({ id: 'order_second' }));
+
+    const res = await createOrder();
+    const body = await res.json();
+
+    assert.equal(body.orderId, 'order_failed');
+    assert.deepEqual(findOne.mock.calls[0].arguments[0].status, { $in: ['created', 'failed'] });
+    assert.equal(orders.mock.callCount(), 0);
+  });
+
+  it('refuses orders on a cancelled job', async () => {
+    const { job, contract, createOrder } = await setup();
+    job.status = 'cancelled';
+    contract.status = 'cancelled';
+    const orders = mock.method(razorpay.orders, 'create', async () => ({ id: 'order_new' }));
+
+    const res = await createOrder();
+
+    assert.equal(res.status, 400);
+    assert.equal(orders.mock.callCount(), 0);
+  });
+
+  it('refuses milestones that are already funded', async () => {
+    const { contract, createOrder } = await setup();
+    contract.milestones[0].status = 'funded';
+    contract.milestones[0].fundedAt = new Date();
+
+    const res = await createOrder();
+
+    assert.equal(res.status, 400);
+  });
+});
+
+describe('Razorpay payment confirmation', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/api/payment', paymentRoutes);
+  });
+
+  after(() => app.close());
+
+  beforeEach(() => {
+    stubSaves(Payment, Contract);
+    stubMessaging();
+    mock.method(Contract, 'findById', async () => null);
+    mock.method(Job, 'findById', () => query(null));
+    mock.method(User, 'findById', () => query(null));
+  });
+
+  afterEach(restoreMocks);
+
+  const buildPayment = (fields = {}) => new Payment({
+    jobId: new mongoose.Types.ObjectId(),
+    payerId: new mongoose.Types.ObjectId(),
+    payeeId: new mongoose.Types.ObjectId(),
+    amount: 500,
+    razorpayOrderId: 'order_1',
+    ...fields
+  });
+
+  const sign = (payload) => crypto
+    .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+    .update(payload)
+    .digest('hex');
+
+  const sendWebhook = (event, signature) => {
+    const payload = JSON.stringify(event);
+    return fetch(`${app.url}/webhook`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Razorpay-Signature': signature || sign(payload) },
+      body: payload
+    });
+  };
+
+  const captured = {
+    event: 'payment.captured',
+    payload: { payment: { entity: { id: 'pay_1', order_id: 'order_1' } } }
+  };
+
+  it('rejects webhooks with a bad signature', async () => {
+    const findOne = mock.method(Payment, 'findOne', async () => buildPayment());
+
+    const res = await sendWebhook(captured, 'not-the-signature');
+
+    assert.equal(res.status, 400);
+    assert.equal(findOne.mock.callCount(), 0);
+  });
+
+  it('marks an open order paid and funds escrow on payment.captured', async () => {
+    const payment = buildPayment();
+    mock.method(Payment, 'findOne', async () => payment);
+
+    const res = await sendWebhook(captured);
+
+    assert.equal(res.status, 200);
+    assert.equal(payment.status, 'paid');
+    assert.equal(payment.razorpayPaymentId, 'pay_1');
+    assert.equal(payment.escrowStatus, 'funded');
+  });
+
+  it('ignores a late payment.captured for a refunded payment', async () => {
+    const payment = buildPayment({ status: 'refunded', escrowStatus: 'refunded', razorpayPaymentId: 'pay_1' });
+    mock.method(Payment, 'findOne', async () => payment);
+
+    const res = await sendWebhook(captured);
+
+    assert.equal(res.status, 200);
+    assert.equal(payment.status, 'refunded');
+    assert.equal(payment.escrowStatus, 'refunded');
+  });
+
+  it('does not mark a paid payment failed on payment.failed', async () => {
+    const payment = buildPayment({ status: 'paid', escrowStatus: 'funded' });
+    mock.method(Payment, 'findOne', async () => payment);
+
+    await sendWebhook({ event: 'payment.failed', payload: { payment: { entity: { id: 'pay_2', order_id: 'order_1' } } } });
+
+    assert.equal(payment.status, 'paid');
+  });
+
+  const verify = (token, signature = sign('order_1|pay_1')) => fetch(`${app.url}/verify`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({
+      razorpay_order_id: 'order_1',
+      razorpay_payment_id: 'pay_1',
+      razorpay_signature: signature
+    })
+  });
+
+  it('treats a replayed verify call on a refunded payment as a no-op', async () => {
+    const { user, token } = await signIn({ role: 'job_provider' });
+    const payment = buildPayment({ payerId: user._id, status: 'partially_refunded', escrowStatus: 'funded', razorpayPaymentId: 'pay_1' });
+    mock.method(Payment, 'findOne', () => query(payment));
+
+    const res = await verify(token);
+
+    assert.equal(res.status, 200);
+    assert.equal(payment.status, 'partially_refunded');
+  });
+
+  it("refuses to verify someone else's order", async () => {
+    const { token } = await signIn({ role: 'job_provider' });
+    const payment = buildPayment();
+    mock.method(Payment, 'findOne', () => query(payment));
+
+    const res = await verify(token, 'not-the-signature');
+
+    assert.equal(res.status, 403);
+    assert.equal(payment.status, 'created');
+  });
+});
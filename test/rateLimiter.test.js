@@ -0,0 +1,135 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, restoreMocks, startApp } = require('./helpers');
+
+const User = require('../models/User');
+const { rateLimit, loginLockedUntil, recordLoginFailure, clearLoginFailures } = require('../utils/rateLimiter');
+const authRoutes = require('../routes/auth');
+
+// Counters live in process memory, so every test uses its own address
+const newEmail = () => `user-${new mongoose.Types.ObjectId()}@example.com`;
+
+describe('login lockout', () => {
+  it('locks an account after five failures and unlocks it on success', async () => {
+    const email = newEmail();
+
+    for (let failure = 1; failure < 5; failure++) {
+      assert.equal(await recordLoginFailure(email), null);
+    }
+    assert.equal(await loginLockedUntil(email), null);
+
+    const lockedUntil = await recordLoginFailure(email);
+    assert.ok(lockedUntil > new Date());
+    assert.deepEqual(await loginLockedUntil(email), lockedUntil);
+
+    await clearLoginFailures(email);
+    assert.equal(await loginLockedUntil(email), null);
+  });
+
+  it('treats addresses case-insensitively', async () => {
+    const email = newEmail();
+
+    for (let failure = 1; failure <= 5; failure++) {
+      await recordLoginFailure(email.toUpperCase());
+    }
+
+    assert.ok(await loginLockedUntil(` ${email} `));
+  });
+
+  it('doubles the lock with every further failure', async (t) => {
+    const email = newEmail();
+    let now = Date.now();
+    t.mock.method(Date, 'now', () => now);
+
+    for (let failure = 1; failure < 5; failure++) {
+      await recordLoginFailure(email);
+    }
+    assert.equal((await recordLoginFailure(email)) - now, 60 * 1000);
+
+    // Once the first lock runs out, the next failure locks for longer
+    now += 61 * 1000;
+    assert.equal(await loginLockedUntil(email), null);
+    assert.equal((await recordLoginFailure(email)) - now, 120 * 1000);
+  });
+});
+
+describe('rateLimit', () => {
+  let app;
+
+  before(async () => {
+    const router = express.Router();
+    router.get('/', rateLimit({ name: 'test', windowMs: 60 * 1000, max: 2, key: (req) => req.get('X-Client') }), (req, res) => {
+      res.json({ ok: true });
+    });
+    app = await startApp('/limited', router);
+  });
+
+  after(() => app.close());
+
+  const hit = (client) => fetch(app.url, { headers: client ? { 'X-Client': client } : {} });
+
+  it('answers 429 with Retry-After once the limit is used up', async () => {
+    assert.equal((await hit('a')).status, 200);
+    assert.equal((await hit('a')).status, 200);
+
+    const res = await hit('a');
+    assert.equal(res.status, 429);
+    assert.ok(Number(res.headers.get('Retry-After')) > 0);
+
+    // Other buckets keep their own count
+    assert.equal((await hit('b')).status, 200);
+  });
+
+  it('skips the limit when there is no bucket key', async () => {
+    for (let request = 0; request < 4; request++) {
+      assert.equal((await hit()).status, 200);
+    }
+  });
+});
+
+describe('POST /api/auth/login lockout', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/api/auth', authRoutes);
+  });
+
+  after(() => app.close());
+  afterEach(restoreMocks);
+
+  const login = (email, password) => fetch(`${app.url}/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password })
+  });
+
+  it('refuses even the right password while the account is locked', async () => {
+    const email = newEmail();
+    const user = new User({ name: 'Test User', email, password: bcrypt.hashSync('secret-password-1', 4), role: 'freelancer' });
+    mock.method(User, 'findOne', () => query(user));
+
+    for (let failure = 1; failure < 5; failure++) {
+      assert.equal((await login(email, 'wrong-password')).status, 400);
+    }
+
+    const locked = await login(email, 'wrong-password');
+    assert.equal(locked.status, 429);
+    assert.ok(locked.headers.get('Retry-After'));
+
+    assert.equal((await login(email, 'secret-password-1')).status, 429);
+  });
+
+  it('counts failures for addresses without an account', async () => {
+    const email = newEmail();
+    mock.method(User, 'findOne', () => query(null));
+
+    for (let failure = 1; failure < 5; failure++) {
+      await login(email, 'wrong-password');
+    }
+
+    assert.equal((await login(email, 'wrong-password')).status, 429);
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query, restoreMocks, startApp, signIn } = require('./helpers');
+
+const Job = require('../models/Job');
+const Bid = require('../models/Bid');
+const { buildProfile, rankJobs } = require('../utils/recommendations');
+const jobRoutes = require('../routes/jobs');
+
+const buildJob = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Job',
+  category: 'Web Development',
+  skills: [],
+  budget: 1000,
+  budgetType: 'fixed',
+  experienceLevel: 'entry',
+  createdAt: new Date(),
+  ...fields
+});
+
+describe('job recommendations', () => {
+  const profile = buildProfile(
+    { skills: [' React ', 'Node.js'], hourlyRate: 800 },
+    { pastJobs: [{ category: 'Web Development' }], bidAmounts: [800, 1200], completedJobs: 3 }
+  );
+
+  it('builds the profile from skills and bidding history', () => {
+    assert.deepEqual([...profile.skills], ['react', 'node.js']);
+    assert.equal(profile.averageBid, 1000);
+    assert.equal(profile.level, 'intermediate');
+    assert.ok(profile.categories.has('Web Development'));
+  });
+
+  it('ranks jobs matching more skills first and explains why', () => {
+    const partial = buildJob({ skills: ['React', 'GraphQL'] });
+    const full = buildJob({ skills: ['react', 'node.js'] });
+    const none = buildJob({ skills: ['Swift'] });
+
+    const ranked = rankJobs([none, partial, full], profile);
+
+    assert.deepEqual(ranked.map(item => item.job), [full, partial, none]);
+    assert.ok(ranked[0].reasons.includes('Matches 2 of 2 required skills: react, node.js'));
+    assert.ok(ranked.every(item => item.score >= 0 && item.score <= 100));
+  });
+
+  it('prefers jobs at the freelancer level over ones above it', () => {
+    const suited = buildJob({ experienceLevel: 'intermediate' });
+    const above = buildJob({ experienceLevel: 'expert' });
+
+    const [first, second] = rankJobs([above, suited], profile);
+
+    assert.equal(first.job, suited);
+    assert.ok(first.score > second.score);
+  });
+
+  it('compares hourly budgets with the freelancer rate', () => {
+    const low = buildJob({ budgetType: 'hourly', budget: 400 });
+    const fair = buildJob({ budgetType: 'hourly', budget: 800 });
+
+    const [first] = rankJobs([low, fair], profile);
+
+    assert.equal(first.job, fair);
+    assert.ok(first.reasons.includes('Hourly budget ₹800 meets your ₹800 rate'));
+  });
+});
+
+describe('GET /api/jobs/recommended', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/api/jobs', jobRoutes);
+  });
+
+  after(() => app.close());
+  afterEach(restoreMocks);
+
+  it('leaves out jobs the freelancer has already bid on', async () => {
+    const { token } = await signIn({ role: 'freelancer', skills: ['React'] });
+    const bidJob = buildJob();
+    mock.method(Bid, 'find', () => query([{ jobId: bidJob, bidAmount: 1000 }]));
+    mock.method(Job, 'countDocuments', async () => 0);
+    const finds = mock.method(Job, 'find', () => query([buildJob({ skills: ['React'] }), buildJob()]));
+
+    const res = await fetch(`${app.url}/recommended?limit=1`, { headers: { Authorization: `Bearer ${token}` } });
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.recommendations.length, 1);
+    assert.deepEqual(finds.mock.calls[0].arguments[0]._id.$nin, [bidJob._id]);
+  });
+
+  it('refuses limits outside 1 to 50', async () => {
+    const { token } = await signIn({ role: 'freelancer' });
+    const bids = mock.method(Bid, 'find', () => query([]));
+
+    for (const params of ['limit=0', 'limit=-5', 'limit=51']) {
+      const res = await fetch(`${app.url}/recommended?${params}`, { headers: { Authorization: `Bearer ${token}` } });
+      assert.equal(res.status, 400, params);
+    }
+    assert.equal(bids.mock.callCount(), 0);
+  });
+});
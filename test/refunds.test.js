@@ -0,0 +1,162 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { stubSaves, stubMessaging, restoreMocks, startApp, signIn } = require('./helpers');
+
+const Contract = require('../models/Contract');
+const Payment = require('../models/Payment');
+const razorpay = require('../utils/razorpay');
+const { settleRefund } = require('../utils/escrow');
+const paymentRoutes = require('../routes/payment');
+
+// A captured payment of 500 for the first of two milestones
+const buildPayment = ({ payerId, payeeId, escrowStatus = 'funded', milestoneStatus = 'funded', ...fields } = {}) => {
+  const contract = new Contract({
+    jobId: new mongoose.Types.ObjectId(),
+    bidId: new mongoose.Types.ObjectId(),
+    clientId: payerId,
+    freelancerId: payeeId,
+    status: 'active',
+    milestones: [
+      { title: 'Design', amount: 500, dueDate: new Date(), order: 1, status: milestoneStatus },
+      { title: 'Build', amount: 500, dueDate: new Date(), order: 2, status: 'agreed' }
+    ]
+  });
+  const payment = new Payment({
+    jobId: contract.jobId,
+    contractId: contract._id,
+    milestoneId: contract.milestones[0]._id,
+    payerId,
+    payeeId,
+    amount: 500,
+    razorpayOrderId: 'order_1',
+    razorpayPaymentId: 'pay_1',
+    status: 'paid',
+    escrowStatus,
+    heldAt: escrowStatus === 'held' ? new Date() : undefined,
+    ...fields
+  });
+
+  mock.method(Contract, 'findById', async () => contract);
+  return { contract, payment, milestone: contract.milestones[0] };
+};
+
+describe('POST /api/payment/:id/refund', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/api/payment', paymentRoutes);
+  });
+
+  after(() => app.close());
+
+  beforeEach(() => {
+    stubSaves(Payment, Contract);
+    stubMessaging();
+  });
+
+  afterEach(restoreMocks);
+
+  const setup = async ({ as = 'payer', ...fields } = {}) => {
+    const { user, token } = await signIn({ role: as === 'payer' ? 'job_provider' : 'freelancer' });
+    const otherId = new mongoose.Types.ObjectId();
+    const escrow = buildPayment({
+      payerId: as === 'payer' ? user._id : otherId,
+      payeeId: as === 'payer' ? otherId : user._id,
+      ...fields
+    });
+    mock.method(Payment, 'findById', async () => escrow.payment);
+    const refunds = mock.method(razorpay.payments, 'refund', async () => ({ id: 'rfnd_1', status: 'processed' }));
+
+    const refund = (body = {}) => fetch(`${app.url}/${escrow.payment._id}/refund`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ reason: 'Project cancelled', ...body })
+    });
+
+    return { ...escrow, refunds, refund };
+  };
+
+  it('refunds a funded payment in full to the payer', async () => {
+    const { payment, milestone, refunds, refund } = await setup();
+
+    const res = await refund();
+
+    assert.equal(res.status, 200);
+    assert.equal(refunds.mock.calls[0].arguments[1].amount, 50000);
+    assert.equal(payment.status, 'refunded');
+    assert.equal(payment.escrowStatus, 'refunded');
+    assert.equal(milestone.status, 'refunded');
+  });
+
+  it('lets the payee refund part of a held payment', async () => {
+    const { payment, milestone, refund } = await setup({ as: 'payee', escrowStatus: 'held', milestoneStatus: 'delivered' });
+
+    const res = await refund({ amount: 200 });
+
+    assert.equal(res.status, 200);
+    assert.equal(payment.status, 'partially_refunded');
+    assert.equal(payment.amountRefunded, 200);
+    assert.equal(payment.escrowStatus, 'held');
+    assert.equal(milestone.status, 'delivered');
+  });
+
+  it('stops the payer refunding once work is delivered', async () => {
+    const { refunds, refund } = await setup({ escrowStatus: 'held', milestoneStatus: 'delivered' });
+
+    const res = await refund();
+
+    assert.equal(res.status, 403);
+    assert.equal(refunds.mock.callCount(), 0);
+  });
+
+  it('refuses more than the refundable amount and frozen payments', async () => {
+    const { payment, refunds, refund } = await setup({ amountRefunded: 400, status: 'partially_refunded' });
+
+    assert.equal((await refund({ amount: 200 })).status, 400);
+
+    payment.frozen = true;
+    assert.equal((await refund({ amount: 50 })).status, 400);
+    assert.equal(refunds.mock.callCount(), 0);
+  });
+});
+
+describe('refund webhooks', () => {
+  beforeEach(() => {
+    stubSaves(Payment, Contract);
+  });
+
+  afterEach(restoreMocks);
+
+  it('puts the money back in escrow when a refund fails', async () => {
+    const { payment, milestone } = buildPayment({
+      payerId: new mongoose.Types.ObjectId(),
+      payeeId: new mongoose.Types.ObjectId(),
+      status: 'refunded',
+      escrowStatus: 'refunded',
+      milestoneStatus: 'refunded',
+      amountRefunded: 500
+    });
+    payment.refunds.push({ amount: 500, reason: 'Project cancelled', razorpayRefundId: 'rfnd_1', status: 'pending' });
+
+    await settleRefund(payment, { id: 'rfnd_1', amount: 50000 }, 'failed');
+
+    assert.equal(payment.status, 'paid');
+    assert.equal(payment.amountRefunded, 0);
+    assert.equal(payment.escrowStatus, 'funded');
+    assert.equal(milestone.status, 'funded');
+  });
+
+  it('records refunds issued from the Razorpay dashboard', async () => {
+    const { payment } = buildPayment({
+      payerId: new mongoose.Types.ObjectId(),
+      payeeId: new mongoose.Types.ObjectId()
+    });
+
+    await settleRefund(payment, { id: 'rfnd_dash', amount: 10000, notes: {} }, 'processed');
+
+    assert.equal(payment.refunds[0].reason, 'Refunded via Razorpay');
+    assert.equal(payment.amountRefunded, 100);
+    assert.equal(payment.status, 'partially_refunded');
+  });
+});
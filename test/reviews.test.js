@@ -0,0 +1,163 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query, stubSaves, stubMessaging, restoreMocks, startApp, signIn } = require('./helpers');
+
+const Job = require('../models/Job');
+const Review = require('../models/Review');
+const User = require('../models/User');
+const { revealDueReviews } = require('../utils/reviews');
+const reviewRoutes = require('../routes/reviews');
+const userRoutes = require('../routes/users');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('POST /api/reviews', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/api/reviews', reviewRoutes);
+  });
+
+  after(() => app.close());
+
+  beforeEach(() => {
+    stubSaves(Review);
+    stubMessaging();
+  });
+
+  afterEach(restoreMocks);
+
+  // The client reviewing the freelancer on a job completed `daysAgo` days ago
+  const setup = async (daysAgo = 1) => {
+    const { user, token } = await signIn();
+    const job = new Job({
+      title: 'Landing page',
+      description: 'Build a landing page',
+      category: 'Web Development',
+      budget: 1000,
+      createdBy: user._id,
+      assignedTo: new mongoose.Types.ObjectId(),
+      status: 'completed',
+      completedAt: new Date(Date.now() - daysAgo * DAY_MS)
+    });
+    mock.method(Job, 'findById', async () => job);
+    mock.method(Review, 'findOne', async () => null);
+
+    const review = (fields = {}) => fetch(`${app.url}`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jobId: job._id, rating: 4, ...fields })
+    });
+
+    return { job, review };
+  };
+
+  it('keeps the first review hidden until the other party reviews', async () => {
+    const { job, review } = await setup();
+    mock.method(Review, 'countDocuments', async () => 1);
+    const reveals = mock.method(Review, 'updateMany', async () => ({}));
+
+    const res = await review();
+    const body = await res.json();
+
+    assert.equal(res.status, 201);
+    assert.equal(body.review.revealed, false);
+    assert.equal(body.review.revieweeId, String(job.assignedTo));
+    assert.equal(reveals.mock.callCount(), 0);
+  });
+
+  it('reveals both reviews once the second one is in', async () => {
+    const { job, review } = await setup();
+    const other = new Review({
+      jobId: job._id,
+      reviewerId: job.assignedTo,
+      revieweeId: job.createdBy,
+      reviewerRole: 'freelancer',
+      rating: 5,
+      revealAt: new Date()
+    });
+    mock.method(Review, 'countDocuments', async () => 2);
+    mock.method(Review, 'find', async () => [other]);
+    const reveals = mock.method(Review, 'updateMany', async () => ({}));
+    mock.method(Review, 'aggregate', async () => [{ rating: 5, count: 1 }]);
+    const ratings = mock.method(User, 'findByIdAndUpdate', async () => null);
+
+    const res = await review();
+
+    assert.equal(res.status, 201);
+    assert.equal((await res.json()).review.revealed, true);
+    assert.deepEqual(reveals.mock.calls[0].arguments[0]._id.$in, [other._id]);
+    assert.deepEqual(ratings.mock.calls[0].arguments[1], { rating: 5, reviewCount: 1 });
+  });
+
+  it('refuses reviews after the review period', async () => {
+    const { review } = await setup(30);
+
+    const res = await review();
+
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).message, 'The review period for this job has ended');
+  });
+
+  it('refuses category scores outside 1 to 5', async () => {
+    const { review } = await setup();
+
+    const res = await review({ categoryScores: { quality: 6 } });
+
+    assert.equal(res.status, 400);
+  });
+});
+
+describe('review reveal deadline', () => {
+  afterEach(restoreMocks);
+
+  it('reveals hidden reviews on jobs past their deadline', async () => {
+    const jobId = new mongoose.Types.ObjectId();
+    const distinct = mock.method(Review, 'distinct', async () => [jobId]);
+    mock.method(Review, 'find', async () => []);
+
+    assert.equal(await revealDueReviews(), 1);
+    assert.ok(distinct.mock.calls[0].arguments[1].revealAt.$lte instanceof Date);
+  });
+});
+
+describe('GET /api/users/:id/reviews', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/api/users', userRoutes);
+  });
+
+  after(() => app.close());
+  afterEach(restoreMocks);
+
+  const stubProfile = () => {
+    const user = new User({ name: 'Freelancer', email: 'freelancer@example.com', role: 'freelancer', rating: 4.5, reviewCount: 2 });
+    mock.method(User, 'findById', () => query(user));
+    const finds = mock.method(Review, 'find', () => query([]));
+    mock.method(Review, 'countDocuments', async () => 2);
+    return { user, finds };
+  };
+
+  it('lists only revealed reviews', async () => {
+    const { user, finds } = stubProfile();
+
+    const res = await fetch(`${app.url}/${user._id}/reviews?limit=1`);
+    const body = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.equal(body.totalPages, 2);
+    assert.equal(finds.mock.calls[0].arguments[0].revealed, true);
+  });
+
+  it('refuses page sizes over 100 and pages below 1', async () => {
+    const { user, finds } = stubProfile();
+
+    for (const params of ['limit=1000', 'limit=0', 'page=0']) {
+      const res = await fetch(`${app.url}/${user._id}/reviews?${params}`);
+      assert.equal(res.status, 400, params);
+    }
+    assert.equal(finds.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query, stubMessaging, restoreMocks, startApp } = require('./helpers');
+
+const User = require('../models/User');
+const Job = require('../models/Job');
+const SavedSearch = require('../models/SavedSearch');
+const { matchSavedSearches } = require('../utils/jobAlerts');
+const savedSearchRoutes = require('../routes/savedSearches');
+
+const buildSavedSearch = (fields = {}) => new SavedSearch({
+  userId: new mongoose.Types.ObjectId(),
+  name: 'React gigs',
+  filters: { category: 'Web Development', skills: ['React'] },
+  ...fields
+});
+
+describe('saved search alerts', () => {
+  afterEach(restoreMocks);
+
+  it('links instant alerts to the frontend unsubscribe page', async () => {
+    const messaging = stubMessaging();
+    const user = new User({ name: 'Freelancer', email: 'freelancer@example.com', role: 'freelancer' });
+    const savedSearch = buildSavedSearch({ frequency: 'instant' });
+    savedSearch.userId = user;
+    mock.method(SavedSearch, 'find', () => query([savedSearch]));
+
+    const job = new Job({
+      title: 'React dashboard',
+      description: 'Build an admin dashboard',
+      category: 'Web Development',
+      skills: ['react'],
+      budget: 1000,
+      createdBy: new mongoose.Types.ObjectId()
+    });
+
+    assert.equal(await matchSavedSearches(job), 1);
+
+    const { variables } = messaging.emails.mock.calls[0].arguments[0];
+    assert.equal(variables.unsubscribeUrl, `${process.env.FRONTEND_URL}/saved-searches/unsubscribe/${savedSearch.unsubscribeToken}`);
+  });
+});
+
+describe('saved search unsubscribe links', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/api/saved-searches', savedSearchRoutes);
+  });
+
+  after(() => app.close());
+  afterEach(restoreMocks);
+
+  it('only looks the search up when the link is opened', async () => {
+    const savedSearch = buildSavedSearch();
+    mock.method(SavedSearch, 'findOne', async () => savedSearch);
+    const updates = mock.method(SavedSearch, 'findOneAndUpdate', async () => savedSearch);
+
+    const res = await fetch(`${app.url}/unsubscribe/${savedSearch.unsubscribeToken}`);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { name: 'React gigs', alertsEnabled: true });
+    assert.equal(updates.mock.callCount(), 0);
+  });
+
+  it('turns alerts off once the user confirms', async () => {
+    const savedSearch = buildSavedSearch({ alertsEnabled: false });
+    const updates = mock.method(SavedSearch, 'findOneAndUpdate', async () => savedSearch);
+
+    const res = await fetch(`${app.url}/unsubscribe/${savedSearch.unsubscribeToken}`, { method: 'POST' });
+
+    assert.equal(res.status, 200);
+    assert.equal(updates.mock.calls[0].arguments[0].unsubscribeToken, savedSearch.unsubscribeToken);
+    assert.equal(updates.mock.calls[0].arguments[1].alertsEnabled, false);
+  });
+
+  it('answers 404 for an unknown token', async () => {
+    mock.method(SavedSearch, 'findOneAndUpdate', async () => null);
+
+    const res = await fetch(`${app.url}/unsubscribe/not-a-token`, { method: 'POST' });
+
+    assert.equal(res.status, 404);
+  });
+});
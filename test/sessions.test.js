@@ -0,0 +1,109 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { stubSaves, restoreMocks, startApp, signIn } = require('./helpers');
+
+const Session = require('../models/Session');
+const { createSession, rotateRefreshToken } = require('../utils/tokens');
+const authRoutes = require('../routes/auth');
+
+const req = { get: () => 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0', ip: '10.0.0.1' };
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('refresh token rotation', () => {
+  let session;
+
+  beforeEach(() => {
+    stubSaves(Session);
+    mock.method(Session, 'create', async (data) => {
+      session = new Session(data);
+      return session;
+    });
+    mock.method(Session, 'findById', async () => session);
+  });
+
+  afterEach(restoreMocks);
+
+  it('issues an access token bound to the session and stores only a hash of the refresh token', async () => {
+    const userId = '64b000000000000000000001';
+    const { token, refreshToken } = await createSession(userId, req);
+    const [sessionId, secret] = refreshToken.split('.');
+
+    assert.equal(sessionId, session._id.toString());
+    assert.equal(session.refreshTokenHash, sha256(secret));
+    assert.equal(session.device, 'Chrome on Windows');
+    assert.equal(jwt.verify(token, process.env.JWT_SECRET).sid, sessionId);
+  });
+
+  it('rotates the refresh token on every use', async () => {
+    const first = await createSession('64b000000000000000000001', req);
+
+    const second = await rotateRefreshToken(first.refreshToken, req);
+
+    assert.ok(second);
+    assert.notEqual(second.refreshToken, first.refreshToken);
+    assert.equal(session.previousTokenHash, sha256(first.refreshToken.split('.')[1]));
+    assert.equal(session.refreshTokenHash, sha256(second.refreshToken.split('.')[1]));
+  });
+
+  it('revokes the session when a rotated token is replayed', async () => {
+    const first = await createSession('64b000000000000000000001', req);
+    const second = await rotateRefreshToken(first.refreshToken, req);
+
+    assert.equal(await rotateRefreshToken(first.refreshToken, req), null);
+    assert.equal(session.revokedReason, 'token_reuse');
+    assert.equal(await rotateRefreshToken(second.refreshToken, req), null);
+  });
+
+  it('rejects malformed, unknown and expired tokens', async () => {
+    const { refreshToken } = await createSession('64b000000000000000000001', req);
+
+    assert.equal(await rotateRefreshToken('garbage', req), null);
+    assert.equal(await rotateRefreshToken(`${session._id}.wrong-secret`, req), null);
+
+    session.expiresAt = new Date(Date.now() - 1000);
+    assert.equal(await rotateRefreshToken(refreshToken, req), null);
+  });
+});
+
+describe('session routes', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/api/auth', authRoutes);
+  });
+
+  after(() => app.close());
+  afterEach(restoreMocks);
+
+  it('revokes the current session on logout', async () => {
+    const { session, token } = await signIn();
+    const updates = mock.method(Session, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const res = await fetch(`${app.url}/logout`, { method: 'POST', headers: { Authorization: `Bearer ${token}` } });
+
+    assert.equal(res.status, 200);
+    assert.equal(updates.mock.calls[0].arguments[0]._id, session._id.toString());
+    assert.equal(updates.mock.calls[0].arguments[1].revokedReason, 'logout');
+  });
+
+  it('answers 404 for a malformed session id', async () => {
+    const { token } = await signIn();
+    const updates = mock.method(Session, 'updateOne', async () => ({ modifiedCount: 0 }));
+
+    const res = await fetch(`${app.url}/sessions/not-an-id`, { method: 'DELETE', headers: { Authorization: `Bearer ${token}` } });
+
+    assert.equal(res.status, 404);
+    assert.equal(updates.mock.callCount(), 0);
+  });
+
+  it('refuses access tokens whose session was revoked', async () => {
+    const { session, token } = await signIn();
+    session.revokedAt = new Date();
+
+    const res = await fetch(`${app.url}/me`, { headers: { Authorization: `Bearer ${token}` } });
+
+    assert.equal(res.status, 401);
+  });
+});
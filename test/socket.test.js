@@ -0,0 +1,92 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { query, restoreMocks, signIn } = require('./helpers');
+
+const User = require('../models/User');
+const Job = require('../models/Job');
+const Conversation = require('../models/Conversation');
+const { canJoinRoom, authenticateSocket } = require('../utils/socket');
+
+const buildUser = () => new User({ name: 'Person', email: 'person@example.com', role: 'freelancer' });
+
+describe('socket room authorization', () => {
+  afterEach(restoreMocks);
+
+  it('only lets users into their own user room', async () => {
+    const user = buildUser();
+
+    assert.equal(await canJoinRoom(user, `user:${user._id}`), true);
+    assert.equal(await canJoinRoom(user, `user:${new mongoose.Types.ObjectId()}`), false);
+  });
+
+  it('limits job rooms to the creator and the assigned freelancer', async () => {
+    const user = buildUser();
+    const job = { createdBy: new mongoose.Types.ObjectId(), assignedTo: user._id };
+    mock.method(Job, 'findById', () => query(job));
+
+    assert.equal(await canJoinRoom(user, `job:${new mongoose.Types.ObjectId()}`), true);
+
+    job.assignedTo = new mongoose.Types.ObjectId();
+    assert.equal(await canJoinRoom(user, `job:${new mongoose.Types.ObjectId()}`), false);
+  });
+
+  it('limits conversation rooms to the participants', async () => {
+    const user = buildUser();
+    const conversation = new Conversation({
+      jobId: new mongoose.Types.ObjectId(),
+      clientId: new mongoose.Types.ObjectId(),
+      freelancerId: user._id
+    });
+    mock.method(Conversation, 'findById', async () => conversation);
+
+    assert.equal(await canJoinRoom(user, `conversation:${conversation._id}`), true);
+    assert.equal(await canJoinRoom(buildUser(), `conversation:${conversation._id}`), false);
+  });
+
+  it('refuses unknown room types and malformed IDs without a lookup', async () => {
+    const user = buildUser();
+    const lookups = mock.method(Job, 'findById', () => query(null));
+
+    assert.equal(await canJoinRoom(user, `session:${new mongoose.Types.ObjectId()}`), false);
+    assert.equal(await canJoinRoom(user, 'job:not-an-id'), false);
+    assert.equal(await canJoinRoom(user, 'lobby'), false);
+    assert.equal(lookups.mock.callCount(), 0);
+  });
+});
+
+describe('socket authentication', () => {
+  afterEach(restoreMocks);
+
+  // Run the handshake middleware and resolve to whatever it passed on
+  const handshake = (auth = {}) => new Promise((resolve) => {
+    const socket = { handshake: { auth, headers: {} } };
+    authenticateSocket(socket, (error) => resolve({ socket, error }));
+  });
+
+  it('attaches the user and session of a valid token', async () => {
+    const { user, session, token } = await signIn();
+
+    const { socket, error } = await handshake({ token });
+
+    assert.equal(error, undefined);
+    assert.equal(socket.user, user);
+    assert.equal(socket.sessionId, session._id.toString());
+  });
+
+  it('refuses missing, invalid and revoked tokens', async () => {
+    const { session, token } = await signIn();
+
+    assert.equal((await handshake()).error.message, 'No token provided, authorization denied');
+    assert.equal((await handshake({ token: 'garbage' })).error.message, 'Token is not valid');
+
+    session.revokedAt = new Date();
+    assert.equal((await handshake({ token })).error.message, 'Token is not valid');
+  });
+
+  it('refuses deactivated accounts', async () => {
+    const { token } = await signIn({ isActive: false });
+
+    assert.equal((await handshake({ token })).error.message, 'Account is deactivated');
+  });
+});
@@ -0,0 +1,125 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const { stubSaves, restoreMocks, startApp, signIn } = require('./helpers');
+
+const User = require('../models/User');
+const { base32Encode, generateSecret, generateCode, verifyCode } = require('../utils/totp');
+const authRoutes = require('../routes/auth');
+
+// RFC 6238 appendix B secret for SHA-1
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+const stepNow = () => Math.floor(Date.now() / 1000 / 30);
+
+describe('TOTP codes', () => {
+  // Hold the clock in the middle of a step so "now" can't move on mid-test
+  beforeEach(() => {
+    const now = (stepNow() * 30 + 15) * 1000;
+    mock.method(Date, 'now', () => now);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('matches the RFC 6238 test vectors', () => {
+    // The RFC lists 8-digit codes; ours are their last six digits
+    assert.equal(generateCode(RFC_SECRET, Math.floor(59 / 30)), '287082');
+    assert.equal(generateCode(RFC_SECRET, Math.floor(1111111109 / 30)), '081804');
+    assert.equal(generateCode(RFC_SECRET, Math.floor(1234567890 / 30)), '005924');
+    assert.equal(generateCode(RFC_SECRET, Math.floor(2000000000 / 30)), '279037');
+  });
+
+  it('accepts the current code and one step of drift either side', () => {
+    const secret = generateSecret();
+    const step = stepNow();
+
+    assert.equal(verifyCode(secret, generateCode(secret, step)), step);
+    assert.equal(verifyCode(secret, generateCode(secret, step - 1)), step - 1);
+    assert.equal(verifyCode(secret, generateCode(secret, step + 2)), null);
+  });
+
+  it('refuses a code from a step that was already used', () => {
+    const secret = generateSecret();
+    const step = stepNow();
+    const code = generateCode(secret, step);
+
+    assert.equal(verifyCode(secret, code, step), null);
+    assert.equal(verifyCode(secret, code, step - 1), step);
+  });
+
+  it('refuses malformed codes', () => {
+    const secret = generateSecret();
+
+    assert.equal(verifyCode(secret, ''), null);
+    assert.equal(verifyCode(secret, '12345'), null);
+    assert.equal(verifyCode(secret, 'abcdef'), null);
+    assert.equal(verifyCode(secret, '1234567'), null);
+  });
+});
+
+describe('POST /api/auth/2fa/disable', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp('/api/auth', authRoutes);
+  });
+
+  after(() => app.close());
+  afterEach(restoreMocks);
+
+  // A signed-in user with two-factor on, who passed it in this session
+  const setup = async (fields = {}) => {
+    const secret = generateSecret();
+    const { user, token } = await signIn({
+      password: bcrypt.hashSync('secret-password-1', 4),
+      twoFactor: { enabled: true, secret, recoveryCodes: [], enabledAt: new Date() },
+      ...fields
+    }, { mfa: true });
+    stubSaves(User);
+
+    const disable = (body) => fetch(`${app.url}/2fa/disable`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify(body)
+    });
+
+    return { user, secret, disable };
+  };
+
+  it('refuses the password on its own', async () => {
+    const { user, disable } = await setup();
+
+    const res = await disable({ password: 'secret-password-1' });
+
+    assert.equal(res.status, 400);
+    assert.equal(user.twoFactor.enabled, true);
+  });
+
+  it('turns two-factor off with the password and a current code', async () => {
+    const { user, secret, disable } = await setup();
+
+    const res = await disable({ password: 'secret-password-1', code: generateCode(secret, stepNow()) });
+
+    assert.equal(res.status, 200);
+    assert.equal(user.twoFactor.enabled, false);
+  });
+
+  it('refuses a code that was already used', async () => {
+    const { user, secret, disable } = await setup();
+    user.twoFactor.lastUsedStep = stepNow() + 1;
+
+    const res = await disable({ password: 'secret-password-1', code: generateCode(secret, stepNow()) });
+
+    assert.equal(res.status, 400);
+    assert.equal(user.twoFactor.enabled, true);
+  });
+
+  it('accepts a code alone from an account without a password', async () => {
+    const { user, secret, disable } = await setup({ password: undefined });
+
+    const res = await disable({ code: generateCode(secret, stepNow()) });
+
+    assert.equal(res.status, 200);
+    assert.equal(user.twoFactor.enabled, false);
+  });
+});
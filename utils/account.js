@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Job = require('../models/Job');
+const Bid = require('../models/Bid');
+const Contract = require('../models/Contract');
+const Payment = require('../models/Payment');
+const Review = require('../models/Review');
+const Message = require('../models/Message');
+const Submission = require('../models/Submission');
+const Dispute = require('../models/Dispute');
+const SavedSearch = require('../models/SavedSearch');
+const Notification = require('../models/Notification');
+
+const PRIVATE_FIELDS = '-password -resetPasswordToken -resetPasswordExpires -emailVerificationToken';
+
+// Flatten attachment lists into upload metadata records
+const uploadsFrom = (source, id, attachments) => (attachments || []).map(attachment => ({
+  source,
+  sourceId: id,
+  url: attachment.url,
+  filename: attachment.filename,
+  uploadedAt: attachment.uploadedAt
+}));
+
+// Everything we hold about a user, for data export requests
+const buildExport = async (userId) => {
+  const participantFilter = (fields) => ({ $or: fields.map(field => ({ [field]: userId })) });
+
+  const [profile, jobs, bids, contracts, payments, reviews, messages, submissions, disputes, savedSearches] = await Promise.all([
+    User.findById(userId).select(PRIVATE_FIELDS).lean(),
+    Job.find({ createdBy: userId }).lean(),
+    Bid.find({ freelancerId: userId }).lean(),
+    Contract.find(participantFilter(['clientId', 'freelancerId'])).lean(),
+    Payment.find(participantFilter(['payerId', 'payeeId'])).select('-razorpaySignature').lean(),
+    // Reviews received stay hidden until both sides have reviewed
+    Review.find({ $or: [{ reviewerId: userId }, { revieweeId: userId, revealed: true }] }).lean(),
+    Message.find({ senderId: userId }).lean(),
+    Submission.find({ freelancerId: userId }).lean(),
+    Dispute.find(participantFilter(['clientId', 'freelancerId'])).select('-messages').lean(),
+    SavedSearch.find({ userId }).select('-unsubscribeToken').lean()
+  ]);
+
+  const uploads = [
+    ...(profile.profilePic ? [{ source: 'profile', sourceId: userId, url: profile.profilePic }] : []),
+    ...jobs.flatMap(job => uploadsFrom('job', job._id, job.attachments)),
+    ...bids.flatMap(bid => uploadsFrom('bid', bid._id, bid.attachments)),
+    ...messages.flatMap(message => uploadsFrom('message', message._id, message.attachments)),
+    ...submissions.flatMap(submission => uploadsFrom('submission', submission._id, submission.attachments)),
+    ...disputes.flatMap(dispute => uploadsFrom(
+      'dispute',
+      dispute._id,
+      dispute.evidence.filter(item => item.uploadedBy && item.uploadedBy.toString() === userId.toString())
+    ))
+  ];
+
+  return {
+    exportedAt: new Date(),
+    profile,
+    jobs,
+    bids,
+    contracts,
+    payments,
+    reviews,
+    messages,
+    submissions,
+    disputes,
+    savedSearches,
+    uploads
+  };
+};
+
+// Reasons the account can't be deleted yet: live contracts, money in escrow
+// or open disputes have to be settled first
+const deletionBlockers = async (userId) => {
+  const [activeJobs, escrowedPayments, openDisputes] = await Promise.all([
+    Job.countDocuments({
+      $or: [{ createdBy: userId }, { assignedTo: userId }],
+      status: { $in: ['in_progress', 'disputed'] }
+    }),
+    Payment.countDocuments({
+      $or: [{ payerId: userId }, { payeeId: userId }],
+      escrowStatus: { $in: ['funded', 'held'] }
+    }),
+    Dispute.countDocuments({
+      $or: [{ clientId: userId }, { freelancerId: userId }],
+      status: { $in: ['open', 'under_review', 'resolving'] }
+    })
+  ]);
+
+  const blockers = [];
+  if (activeJobs > 0) blockers.push(`${activeJobs} job(s) still in progress`);
+  if (escrowedPayments > 0) blockers.push(`${escrowedPayments} payment(s) still held in escrow`);
+  if (openDisputes > 0) blockers.push(`${openDisputes} open dispute(s)`);
+  return blockers;
+};
+
+// Close out a user's open jobs and bids, then strip personal data from the
+// account. Payments, contracts and reviews keep their references so the
+// accounting history stays intact.
+const anonymizeAccount = async (user) => {
+  const reason = 'Account deleted';
+
+  const openJobs = await Job.find({ createdBy: user._id, status: { $in: ['open', 'paused'] } });
+  for (const job of openJobs) {
+    job.transitionTo('cancelled', user._id, reason);
+    job.cancellationReason = reason;
+    await job.save();
+
+    await Bid.updateMany(
+      { jobId: job._id, status: { $in: Bid.OPEN_STATUSES } },
+      { status: 'rejected', rejectionReason: 'Job was cancelled: the client closed their account', statusChangedAt: new Date() }
+    );
+  }
+
+  await Bid.updateMany(
+    { freelancerId: user._id, status: { $in: Bid.OPEN_STATUSES } },
+    { status: 'withdrawn', statusChangedAt: new Date() }
+  );
+
+  await SavedSearch.deleteMany({ userId: user._id });
+  await Notification.deleteMany({ userId: user._id });
+
+  user.name = 'Deleted user';
+  user.email = `deleted-${user._id}@deleted.invalid`;
+  user.password = crypto.randomBytes(32).toString('hex');
+  user.profilePic = '';
+  user.bio = '';
+  user.skills = [];
+  user.hourlyRate = 0;
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpires = undefined;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  user.identities = [];
+  user.isActive = false;
+  user.deletedAt = new Date();
+  await user.save();
+
+  return user;
+};
+
+module.exports = {
+  buildExport,
+  deletionBlockers,
+  anonymizeAccount
+};
@@ -0,0 +1,62 @@
+const { body, validationResult } = require('express-validator');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+
+// Limits on a single message, shared by the REST route and the socket handler
+const messageRules = [
+  body('text').optional().trim().isLength({ max: 5000 }).withMessage('Message cannot exceed 5000 characters'),
+  body('attachments').optional().isArray({ max: 5 }).withMessage('Attachments must be an array of up to 5 files'),
+  body('attachments.*.url').optional().isURL().withMessage('Attachment URL is invalid')
+];
+
+// Apply the message rules to a payload that didn't come through Express,
+// such as a socket event. Resolves to the first error message, or null.
+const checkMessage = async (data) => {
+  const req = { body: data };
+  for (const rule of messageRules) {
+    await rule.run(req);
+  }
+
+  const errors = validationResult(req);
+  return errors.isEmpty() ? null : errors.array()[0].msg;
+};
+
+// Store a message and bump the other party's unread count. Returns null when
+// there is neither text nor an attachment to send.
+const saveMessage = async (conversation, senderId, { text = '', attachments = [] }) => {
+  const cleanAttachments = (Array.isArray(attachments) ? attachments : [])
+    .filter(attachment => attachment && attachment.url)
+    .map(attachment => ({ url: attachment.url, filename: attachment.filename }));
+
+  text = typeof text === 'string' ? text.trim() : '';
+
+  if (!text && cleanAttachments.length === 0) {
+    return null;
+  }
+
+  const message = new Message({
+    conversationId: conversation._id,
+    senderId,
+    type: cleanAttachments.length > 0 ? 'attachment' : 'text',
+    text,
+    attachments: cleanAttachments
+  });
+
+  await message.save();
+  await message.populate('senderId', 'name profilePic');
+
+  const isClient = conversation.clientId.toString() === senderId.toString();
+  await Conversation.findByIdAndUpdate(conversation._id, {
+    lastMessage: {
+      text: text || cleanAttachments.map(attachment => attachment.filename).join(', '),
+      senderId,
+      createdAt: message.createdAt
+    },
+    lastMessageAt: message.createdAt,
+    $inc: { [isClient ? 'freelancerUnread' : 'clientUnread']: 1 }
+  });
+
+  return message;
+};
+
+module.exports = { messageRules, checkMessage, saveMessage };
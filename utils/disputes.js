@@ -0,0 +1,209 @@
+const Dispute = require('../models/Dispute');
+const Payment = require('../models/Payment');
+const Contract = require('../models/Contract');
+const Job = require('../models/Job');
+const { notify } = require('./notify');
+const { releasePayment, refundPayment } = require('./escrow');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Deadline for the other party to respond to a newly opened dispute
+const responseDeadline = () =>
+  new Date(Date.now() + Number(process.env.DISPUTE_RESPONSE_DAYS || 3) * DAY_MS);
+
+// Payments covered by a dispute that still have money in escrow
+const escrowedPayments = async (dispute) => {
+  const payments = await Payment.find({ _id: { $in: dispute.paymentIds } });
+  return payments.filter(payment =>
+    ['funded', 'held'].includes(payment.escrowStatus) && payment.refundableAmount > 0);
+};
+
+// Total amount an admin can divide between the parties
+const disputedAmount = async (dispute) => {
+  const payments = await escrowedPayments(dispute);
+  return payments.reduce((sum, payment) => sum + payment.refundableAmount, 0);
+};
+
+const freezePayments = (dispute) => Payment.updateMany(
+  { _id: { $in: dispute.paymentIds } },
+  { frozen: true, disputeId: dispute._id }
+);
+
+const unfreezePayments = (dispute) => Payment.updateMany(
+  { _id: { $in: dispute.paymentIds } },
+  { frozen: false }
+);
+
+// Notify both parties about a change to a dispute
+const notifyParties = (dispute, type, title) => Promise.all(
+  [dispute.clientId, dispute.freelancerId].map(userId =>
+    notify(userId, type, title, { disputeId: dispute._id, jobId: dispute.jobId }))
+);
+
+// Record an admin ruling and carry it out. Escrowed funds are split between
+// the parties, refunding the client's share and releasing the freelancer's.
+// The planned payouts are saved on the dispute before any money moves.
+const applyRuling = async (dispute, { outcome, freelancerAmount, notes }, ruledBy) => {
+  const payments = await escrowedPayments(dispute);
+  const total = payments.reduce((sum, payment) => sum + payment.refundableAmount, 0);
+
+  let toFreelancer = 0;
+  if (outcome === 'release') {
+    toFreelancer = total;
+  } else if (outcome === 'split') {
+    toFreelancer = Number(freelancerAmount);
+  }
+
+  if (toFreelancer < 0 || toFreelancer > total) {
+    throw new Error(`Freelancer amount must be between 0 and ${total}`);
+  }
+
+  const steps = [];
+  let remaining = toFreelancer;
+
+  for (const payment of payments) {
+    const releaseAmount = Math.min(remaining, payment.refundableAmount);
+    const refundAmount = payment.refundableAmount - releaseAmount;
+    remaining -= releaseAmount;
+
+    if (refundAmount > 0) {
+      steps.push({ paymentId: payment._id, action: 'refund', amount: refundAmount });
+    }
+    if (releaseAmount > 0) {
+      steps.push({ paymentId: payment._id, action: 'release', amount: releaseAmount });
+    }
+  }
+
+  dispute.ruling = {
+    outcome,
+    clientAmount: total - toFreelancer,
+    freelancerAmount: toFreelancer,
+    notes,
+    ruledBy,
+    ruledAt: new Date(),
+    steps
+  };
+  dispute.status = 'resolving';
+  await dispute.save();
+
+  return carryOutRuling(dispute);
+};
+
+// A step the payment already reflects, e.g. when a run failed after the
+// money moved but before the step was marked done. Refunds are matched on
+// the refund the step issued, never on amount alone.
+const stepAlreadyDone = (payment, step) => {
+  if (step.action === 'release') {
+    return payment.escrowStatus === 'released';
+  }
+  return Boolean(step.razorpayRefundId) && payment.refunds.some(refund =>
+    refund.razorpayRefundId === step.razorpayRefundId && refund.status !== 'failed');
+};
+
+// Run the outstanding steps of a recorded ruling in order, saving each one
+// as it completes. A failure is recorded on the step and leaves the dispute
+// resolving, with its payments still frozen, for the next retry. Once every
+// step is done the payments are unfrozen and the job moves on from the
+// dispute: it is cancelled on a full refund and otherwise resumes.
+const carryOutRuling = async (dispute) => {
+  const { outcome, ruledBy } = dispute.ruling;
+  const reason = `Dispute ruling: ${outcome}`;
+
+  for (const step of dispute.ruling.steps) {
+    if (step.completedAt) continue;
+
+    try {
+      const payment = await Payment.findById(step.paymentId);
+      if (!payment) {
+        throw new Error('Payment not found');
+      }
+
+      if (!stepAlreadyDone(payment, step)) {
+        if (step.action === 'refund') {
+          const refund = await refundPayment(payment, {
+            amount: step.amount,
+            reason,
+            initiatedBy: ruledBy,
+            allowFrozen: true
+          });
+          step.razorpayRefundId = refund.razorpayRefundId;
+        } else {
+          await releasePayment(payment, ruledBy, { allowFrozen: true });
+        }
+      }
+
+      step.attempts += 1;
+      step.lastError = undefined;
+      step.completedAt = new Date();
+      await dispute.save();
+    } catch (error) {
+      console.error(`Dispute ${dispute._id} ruling step failed:`, error);
+      step.attempts += 1;
+      step.lastError = error.message;
+      await dispute.save();
+      return dispute;
+    }
+  }
+
+  await unfreezePayments(dispute);
+
+  // Releasing the last milestone may already have completed the job
+  const job = await Job.findById(dispute.jobId);
+  if (job && job.status === 'disputed') {
+    if (outcome === 'refund') {
+      job.transitionTo('cancelled', ruledBy, reason);
+      job.cancellationReason = reason;
+      await Contract.updateOne({ _id: dispute.contractId, status: 'active' }, { status: 'cancelled' });
+    } else {
+      job.transitionTo('in_progress', ruledBy, reason);
+    }
+    await job.save();
+  }
+
+  dispute.ruling.appliedAt = new Date();
+  dispute.status = 'resolved';
+  dispute.closedAt = new Date();
+  await dispute.save();
+
+  await notifyParties(dispute, 'dispute_resolved', `The dispute on "${job ? job.title : 'your job'}" was resolved`);
+  return dispute;
+};
+
+// Retry rulings whose payouts didn't all go through
+const retryPendingRulings = async () => {
+  const pending = await Dispute.find({ status: 'resolving' });
+
+  for (const dispute of pending) {
+    await carryOutRuling(dispute);
+  }
+
+  return pending.length;
+};
+
+// Hand disputes whose response deadline passed over to the admins
+const escalateOverdueDisputes = async () => {
+  const overdue = await Dispute.find({
+    status: 'open',
+    respondBy: { $lte: new Date() }
+  });
+
+  for (const dispute of overdue) {
+    dispute.status = 'under_review';
+    dispute.escalatedAt = new Date();
+    await dispute.save();
+    await notifyParties(dispute, 'dispute_escalated', 'A dispute passed its response deadline and is now with an admin');
+  }
+
+  return overdue.length;
+};
+
+module.exports = {
+  responseDeadline,
+  disputedAmount,
+  freezePayments,
+  unfreezePayments,
+  notifyParties,
+  applyRuling,
+  retryPendingRulings,
+  escalateOverdueDisputes
+};
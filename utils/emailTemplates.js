@@ -0,0 +1,149 @@
+// Named transactional email templates. Placeholders use {{name}} syntax and
+// are HTML-escaped in the html body; the text body gets the raw values.
+// {{{name}}} inserts pre-built HTML as is.
+const templates = {
+  welcome: {
+    subject: 'Welcome to the platform, {{name}}!',
+    html: `
+      <h2>Welcome, {{name}}!</h2>
+      <p>Your {{roleLabel}} account is ready.</p>
+      <p><a href="{{appUrl}}">Get started</a></p>
+    `,
+    text: 'Welcome, {{name}}!\n\nYour {{roleLabel}} account is ready.\n\nGet started: {{appUrl}}'
+  },
+
+  verify_email: {
+    subject: 'Confirm your email address',
+    html: `
+      <h2>Confirm your email, {{name}}</h2>
+      <p>Click the link below to verify your email address and finish setting up your account:</p>
+      <a href="{{verifyUrl}}">Verify email</a>
+      <p>This link will expire in 24 hours.</p>
+    `,
+    text: 'Confirm your email, {{name}}\n\nOpen the link below to verify your email address and finish setting up your account:\n{{verifyUrl}}\n\nThis link will expire in 24 hours.'
+  },
+
+  password_reset: {
+    subject: 'Password Reset Request',
+    html: `
+      <h2>Password Reset Request</h2>
+      <p>Click the link below to reset your password:</p>
+      <a href="{{resetUrl}}">Reset Password</a>
+      <p>This link will expire in 1 hour.</p>
+    `,
+    text: 'Password Reset Request\n\nOpen the link below to reset your password:\n{{resetUrl}}\n\nThis link will expire in 1 hour.'
+  },
+
+  password_changed: {
+    subject: 'Your password was changed',
+    html: `
+      <h2>Password changed</h2>
+      <p>Hi {{name}}, the password for your account was just changed.</p>
+      <p>If this wasn't you, reset your password immediately and contact support.</p>
+    `,
+    text: "Hi {{name}}, the password for your account was just changed.\n\nIf this wasn't you, reset your password immediately and contact support."
+  },
+
+  bid_received: {
+    subject: 'New bid on "{{jobTitle}}"',
+    html: `
+      <h2>You received a new bid</h2>
+      <p>Hi {{name}}, {{freelancerName}} bid ₹{{bidAmount}} on "{{jobTitle}}".</p>
+      <p><a href="{{jobUrl}}">Review bids</a></p>
+    `,
+    text: 'Hi {{name}}, {{freelancerName}} bid ₹{{bidAmount}} on "{{jobTitle}}".\n\nReview bids: {{jobUrl}}'
+  },
+
+  bid_accepted: {
+    subject: 'Your bid on "{{jobTitle}}" was accepted',
+    html: `
+      <h2>Congratulations, {{name}}!</h2>
+      <p>Your bid on "{{jobTitle}}" was accepted and a contract has been created.</p>
+      <p><a href="{{jobUrl}}">View the job</a></p>
+    `,
+    text: 'Congratulations, {{name}}!\n\nYour bid on "{{jobTitle}}" was accepted and a contract has been created.\n\nView the job: {{jobUrl}}'
+  },
+
+  bid_rejected: {
+    subject: 'Update on your bid for "{{jobTitle}}"',
+    html: `
+      <h2>Bid update</h2>
+      <p>Hi {{name}}, the client has chosen not to move forward with your bid on "{{jobTitle}}".</p>
+      <p><a href="{{appUrl}}">Find more jobs</a></p>
+    `,
+    text: 'Hi {{name}}, the client has chosen not to move forward with your bid on "{{jobTitle}}".\n\nFind more jobs: {{appUrl}}'
+  },
+
+  payment_receipt: {
+    subject: 'Payment receipt for "{{jobTitle}}"',
+    html: `
+      <h2>Payment received</h2>
+      <p>Hi {{name}}, we received your payment of ₹{{amount}} for "{{jobTitle}}".</p>
+      <p>The funds are held in escrow until you release them to the freelancer.</p>
+      <p>Payment ID: {{paymentId}}<br>Date: {{date}}</p>
+    `,
+    text: 'Hi {{name}}, we received your payment of ₹{{amount}} for "{{jobTitle}}".\n\nThe funds are held in escrow until you release them to the freelancer.\n\nPayment ID: {{paymentId}}\nDate: {{date}}'
+  },
+
+  job_alert: {
+    subject: 'New job matching "{{searchName}}": {{jobTitle}}',
+    html: `
+      <h2>A new job matches your saved search</h2>
+      <p>Hi {{name}}, "{{jobTitle}}" ({{category}}, ₹{{budget}}) matches "{{searchName}}".</p>
+      <p><a href="{{jobUrl}}">View the job</a></p>
+      <p style="font-size:12px"><a href="{{unsubscribeUrl}}">Stop alerts for this search</a></p>
+    `,
+    text: 'Hi {{name}}, "{{jobTitle}}" ({{category}}, ₹{{budget}}) matches your saved search "{{searchName}}".\n\nView the job: {{jobUrl}}\n\nStop alerts for this search: {{unsubscribeUrl}}'
+  },
+
+  job_digest: {
+    subject: '{{jobCount}} new jobs for "{{searchName}}"',
+    html: `
+      <h2>{{jobCount}} new jobs match "{{searchName}}"</h2>
+      <p>Hi {{name}}, here are the latest jobs for your saved search:</p>
+      <ul>{{{jobsHtml}}}</ul>
+      <p style="font-size:12px"><a href="{{unsubscribeUrl}}">Stop alerts for this search</a></p>
+    `,
+    text: 'Hi {{name}}, {{jobCount}} new jobs match your saved search "{{searchName}}":\n\n{{jobsText}}\n\nStop alerts for this search: {{unsubscribeUrl}}'
+  }
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const valueOf = (variables, key) => (
+  variables[key] === undefined || variables[key] === null ? '' : String(variables[key])
+);
+
+const fill = (source, variables, escape) => source.replace(
+  /{{{\s*(\w+)\s*}}}|{{\s*(\w+)\s*}}/g,
+  (match, rawKey, key) => {
+    if (rawKey) return valueOf(variables, rawKey);
+    return escape ? escapeHtml(valueOf(variables, key)) : valueOf(variables, key);
+  }
+);
+
+// Render a named template into { subject, html, text }
+const renderTemplate = (name, variables = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  const values = {
+    appUrl: process.env.FRONTEND_URL || '',
+    ...variables
+  };
+
+  return {
+    subject: fill(template.subject, values, false),
+    html: fill(template.html, values, true).trim(),
+    text: fill(template.text, values, false)
+  };
+};
+
+module.exports = { templates, renderTemplate, escapeHtml };
@@ -0,0 +1,294 @@
+const Payment = require('../models/Payment');
+const Contract = require('../models/Contract');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const razorpay = require('./razorpay');
+const { notify } = require('./notify');
+const { queueEmail } = require('./mailer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days the client has to review delivered work before funds auto-release
+const reviewWindowMs = () => Number(process.env.ESCROW_REVIEW_DAYS || 7) * DAY_MS;
+
+// Look up the contract and milestone a payment was made for
+const findMilestone = async (payment) => {
+  if (!payment.contractId || payment.orphaned) return {};
+
+  const contract = await Contract.findById(payment.contractId);
+  const milestone = contract && contract.milestones.id(payment.milestoneId);
+  return { contract, milestone };
+};
+
+// Complete the contract and its job once every milestone is settled
+const completeIfSettled = async (contract) => {
+  if (contract.status !== 'active' || !contract.allMilestonesSettled()) return;
+
+  contract.status = 'completed';
+  contract.completedAt = new Date();
+
+  const job = await Job.findById(contract.jobId);
+  if (job && job.canTransitionTo('completed')) {
+    job.transitionTo('completed', null, 'All milestones settled');
+    await job.save();
+  }
+};
+
+// Start the review window on funds whose work has been delivered
+const holdPayment = async (payment) => {
+  if (payment.escrowStatus !== 'funded') return payment;
+
+  payment.escrowStatus = 'held';
+  payment.heldAt = new Date();
+  payment.autoReleaseAt = new Date(Date.now() + reviewWindowMs());
+  return payment.save();
+};
+
+// Stop the review window when the client sends delivered work back for
+// changes; the funds stay in escrow until the work is submitted again
+const unholdPayment = async (payment) => {
+  if (payment.escrowStatus !== 'held') return payment;
+
+  payment.escrowStatus = 'funded';
+  payment.heldAt = undefined;
+  payment.autoReleaseAt = undefined;
+  return payment.save();
+};
+
+// Milestone states a capture can still pay for
+const FUNDABLE_MILESTONE_STATUSES = ['agreed', 'delivered', 'approved'];
+
+// Move captured money into escrow, let both parties know and email the
+// payer a receipt. Safe to call from both the verify route and the
+// payment.captured webhook.
+const fundPayment = async (payment) => {
+  if (payment.escrowStatus !== 'pending') return payment;
+
+  // A second order for a paid milestone, or one left open when the contract
+  // ended, has nothing in escrow to pay for
+  const { contract, milestone } = await findMilestone(payment);
+  if (contract && (contract.status !== 'active' || !milestone ||
+      !FUNDABLE_MILESTONE_STATUSES.includes(milestone.status) || milestone.fundedAt)) {
+    return refundOrphanedPayment(payment);
+  }
+
+  payment.escrowStatus = 'funded';
+  payment.fundedAt = new Date();
+  await payment.save();
+
+  const payload = {
+    paymentId: payment._id,
+    jobId: payment.jobId._id || payment.jobId,
+    amount: payment.amount
+  };
+  await notify(payment.payeeId._id || payment.payeeId, 'payment_received', `Payment of ₹${payment.amount} is now held in escrow`, payload);
+  await notify(payment.payerId._id || payment.payerId, 'payment_captured', `Your payment of ₹${payment.amount} was received`, payload);
+
+  const payer = await User.findById(payment.payerId._id || payment.payerId).select('name email');
+  const job = await Job.findById(payload.jobId).select('title');
+  if (payer) {
+    await queueEmail('payment_receipt', payer.email, {
+      name: payer.name,
+      amount: payment.amount,
+      jobTitle: job ? job.title : '',
+      paymentId: payment._id.toString(),
+      date: payment.fundedAt.toISOString().slice(0, 10)
+    });
+  }
+
+  if (milestone && milestone.status === 'agreed') {
+    milestone.status = 'funded';
+    milestone.fundedAt = new Date();
+    await contract.save();
+  } else if (milestone && milestone.status === 'delivered') {
+    // Work was submitted before the payment came through, so the review
+    // window starts now
+    milestone.fundedAt = new Date();
+    await contract.save();
+    await holdPayment(payment);
+  } else if (milestone && milestone.status === 'approved') {
+    // Paying for work the client already approved settles it straight away
+    milestone.fundedAt = new Date();
+    await contract.save();
+    await releasePayment(payment, payment.payerId._id || payment.payerId);
+  }
+
+  return payment;
+};
+
+// Send a capture that no milestone can take back to the payer. The payment
+// is flagged first, so if the refund fails it is left for an admin to
+// refund by hand.
+const refundOrphanedPayment = async (payment) => {
+  payment.orphaned = true;
+  payment.escrowStatus = 'funded';
+  payment.fundedAt = new Date();
+  await payment.save();
+
+  try {
+    await refundPayment(payment, { reason: 'Milestone already paid for or contract closed' });
+  } catch (error) {
+    console.error(`Refund of orphaned payment ${payment._id} failed:`, error);
+    return payment;
+  }
+
+  await notify(payment.payerId._id || payment.payerId, 'payment_refunded',
+    `Your payment of ₹${payment.amount} was refunded because the milestone was already paid for or the contract has ended`,
+    { paymentId: payment._id, jobId: payment.jobId._id || payment.jobId, amount: payment.amount });
+  return payment;
+};
+
+// Pay escrowed funds out to the freelancer. `releasedBy` is the approving
+// user, or null when the review window lapsed. The job completes once its
+// last milestone is released. `allowFrozen` is for carrying out a dispute
+// ruling on the frozen payment.
+const releasePayment = async (payment, releasedBy = null, { allowFrozen = false } = {}) => {
+  if (!['funded', 'held'].includes(payment.escrowStatus)) {
+    throw new Error(`Cannot release a payment in ${payment.escrowStatus} state`);
+  }
+
+  if (payment.frozen && !allowFrozen) {
+    throw new Error('Cannot release a payment frozen by a dispute');
+  }
+
+  payment.escrowStatus = 'released';
+  payment.releasedAt = new Date();
+  payment.releasedBy = releasedBy || undefined;
+  payment.releaseType = releasedBy ? 'manual' : 'auto';
+  await payment.save();
+
+  const { contract, milestone } = await findMilestone(payment);
+  if (!milestone) return payment;
+
+  milestone.status = 'released';
+  milestone.releasedAt = new Date();
+
+  await completeIfSettled(contract);
+  await contract.save();
+  return payment;
+};
+
+// Recalculate refund totals and the payment, escrow and milestone states
+// after a refund is issued or its final status arrives from Razorpay
+const applyRefundTotals = async (payment) => {
+  payment.amountRefunded = payment.refunds
+    .filter(refund => refund.status !== 'failed')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+
+  const fullyRefunded = payment.amountRefunded >= payment.amount;
+
+  if (fullyRefunded) {
+    payment.status = 'refunded';
+  } else {
+    payment.status = payment.amountRefunded > 0 ? 'partially_refunded' : 'paid';
+  }
+
+  if (fullyRefunded && payment.escrowStatus !== 'released') {
+    payment.escrowStatus = 'refunded';
+  } else if (!fullyRefunded && payment.escrowStatus === 'refunded') {
+    // A refund failed, so the money is back in escrow
+    payment.escrowStatus = payment.heldAt ? 'held' : 'funded';
+  }
+
+  await payment.save();
+
+  const { contract, milestone } = await findMilestone(payment);
+  if (!milestone) return payment;
+
+  if (payment.escrowStatus === 'refunded') {
+    milestone.status = 'refunded';
+    await completeIfSettled(contract);
+  } else if (milestone.status === 'refunded') {
+    milestone.status = payment.escrowStatus === 'held' ? 'delivered' : 'funded';
+  }
+
+  await contract.save();
+  return payment;
+};
+
+// Refund a captured payment in full or in part through Razorpay. Leaving
+// `amount` out refunds whatever has not been refunded yet. `allowFrozen`
+// is for carrying out a dispute ruling on the frozen payment.
+const refundPayment = async (payment, { amount, reason = '', initiatedBy, allowFrozen = false } = {}) => {
+  if (!['paid', 'partially_refunded'].includes(payment.status) || !payment.razorpayPaymentId) {
+    throw new Error('Only captured payments can be refunded');
+  }
+
+  if (payment.frozen && !allowFrozen) {
+    throw new Error('Cannot refund a payment frozen by a dispute');
+  }
+
+  const refundAmount = amount === undefined ? payment.refundableAmount : Number(amount);
+  if (!(refundAmount > 0) || refundAmount > payment.refundableAmount) {
+    throw new Error(`Refund amount must be between 0 and ${payment.refundableAmount}`);
+  }
+
+  const refund = await razorpay.payments.refund(payment.razorpayPaymentId, {
+    amount: Math.round(refundAmount * 100), // Convert to paise
+    notes: {
+      paymentId: payment._id.toString(),
+      reason
+    }
+  });
+
+  payment.refunds.push({
+    amount: refundAmount,
+    reason,
+    initiatedBy,
+    razorpayRefundId: refund.id,
+    status: refund.status === 'processed' ? 'processed' : 'pending',
+    processedAt: refund.status === 'processed' ? new Date() : undefined
+  });
+
+  await applyRefundTotals(payment);
+  return payment.refunds[payment.refunds.length - 1];
+};
+
+// Record the final state of a refund reported by the Razorpay webhook.
+// Refunds issued outside the API (e.g. from the dashboard) are added here.
+const settleRefund = async (payment, refundData, status) => {
+  let refund = payment.refunds.find(item => item.razorpayRefundId === refundData.id);
+
+  if (!refund) {
+    payment.refunds.push({
+      amount: refundData.amount / 100,
+      reason: (refundData.notes && refundData.notes.reason) || 'Refunded via Razorpay',
+      razorpayRefundId: refundData.id
+    });
+    refund = payment.refunds[payment.refunds.length - 1];
+  }
+
+  refund.status = status;
+  refund.processedAt = new Date();
+
+  return applyRefundTotals(payment);
+};
+
+// Release every held payment whose review window has passed
+const releaseDuePayments = async () => {
+  const duePayments = await Payment.find({
+    escrowStatus: 'held',
+    frozen: { $ne: true },
+    autoReleaseAt: { $lte: new Date() }
+  });
+
+  for (const payment of duePayments) {
+    try {
+      await releasePayment(payment);
+    } catch (error) {
+      console.error('Auto-release error for payment', payment._id.toString(), error);
+    }
+  }
+
+  return duePayments.length;
+};
+
+module.exports = {
+  fundPayment,
+  holdPayment,
+  unholdPayment,
+  releasePayment,
+  releaseDuePayments,
+  refundPayment,
+  settleRefund
+};
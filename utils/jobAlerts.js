@@ -0,0 +1,141 @@
+const SavedSearch = require('../models/SavedSearch');
+const Job = require('../models/Job');
+const { notify } = require('./notify');
+const { queueEmail } = require('./mailer');
+const { escapeHtml } = require('./emailTemplates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DIGEST_INTERVALS = { daily: DAY_MS, weekly: 7 * DAY_MS };
+
+// The frontend page asks the user to confirm before calling the API, so
+// link scanners opening the email can't turn alerts off
+const unsubscribeUrl = (savedSearch) =>
+  `${process.env.FRONTEND_URL}/saved-searches/unsubscribe/${savedSearch.unsubscribeToken}`;
+
+const jobUrl = (job) => `${process.env.FRONTEND_URL}/jobs/${job._id}`;
+
+// Check a single job against saved search filters. Mirrors the job listing:
+// skills match any, and search matches any word of the title or description.
+const matchesSavedSearch = (job, filters = {}) => {
+  if (filters.category && filters.category !== job.category) return false;
+  if (filters.budgetMin !== undefined && filters.budgetMin !== null && job.budget < filters.budgetMin) return false;
+  if (filters.budgetMax !== undefined && filters.budgetMax !== null && job.budget > filters.budgetMax) return false;
+
+  if (filters.skills && filters.skills.length > 0) {
+    const jobSkills = new Set((job.skills || []).map(skill => skill.toLowerCase()));
+    if (!filters.skills.some(skill => jobSkills.has(skill.toLowerCase()))) return false;
+  }
+
+  if (filters.search) {
+    const haystack = `${job.title} ${job.description}`.toLowerCase();
+    const terms = filters.search.toLowerCase().split(/\s+/).filter(Boolean);
+    if (!terms.some(term => haystack.includes(term))) return false;
+  }
+
+  return true;
+};
+
+// Send an instant alert for one job
+const sendInstantAlert = async (savedSearch, job) => {
+  const user = savedSearch.userId;
+
+  await notify(user._id, 'job_alert', `New job matching "${savedSearch.name}": ${job.title}`, {
+    jobId: job._id,
+    savedSearchId: savedSearch._id
+  });
+
+  await queueEmail('job_alert', user.email, {
+    name: user.name,
+    searchName: savedSearch.name,
+    jobTitle: job.title,
+    category: job.category,
+    budget: job.budget,
+    jobUrl: jobUrl(job),
+    unsubscribeUrl: unsubscribeUrl(savedSearch)
+  });
+};
+
+// Match a newly posted job against every saved search with alerts on.
+// Instant searches are alerted now; the rest collect the job for a digest.
+const matchSavedSearches = async (job) => {
+  try {
+    const candidates = await SavedSearch.find({
+      alertsEnabled: true,
+      userId: { $ne: job.createdBy._id || job.createdBy },
+      $or: [
+        { 'filters.category': { $in: [null, ''] } },
+        { 'filters.category': job.category }
+      ]
+    }).populate('userId', 'name email isActive');
+
+    const matches = candidates.filter(savedSearch =>
+      savedSearch.userId && savedSearch.userId.isActive && matchesSavedSearch(job, savedSearch.filters));
+
+    // One failed alert shouldn't stop the rest
+    for (const savedSearch of matches) {
+      try {
+        if (savedSearch.frequency === 'instant') {
+          await sendInstantAlert(savedSearch, job);
+        } else {
+          await SavedSearch.updateOne({ _id: savedSearch._id }, { $addToSet: { pendingJobs: job._id } });
+        }
+      } catch (error) {
+        console.error(`Saved search ${savedSearch._id} alert error:`, error);
+      }
+    }
+
+    return matches.length;
+  } catch (error) {
+    console.error('Match saved searches error:', error);
+    return 0;
+  }
+};
+
+// Email daily and weekly digests that are due. Jobs closed since they were
+// matched are dropped from the digest.
+const sendDigests = async () => {
+  const now = Date.now();
+  const savedSearches = await SavedSearch.find({
+    alertsEnabled: true,
+    frequency: { $in: Object.keys(DIGEST_INTERVALS) },
+    'pendingJobs.0': { $exists: true }
+  }).populate('userId', 'name email isActive');
+
+  let sent = 0;
+
+  for (const savedSearch of savedSearches) {
+    const lastSent = (savedSearch.lastDigestAt || savedSearch.createdAt).getTime();
+    if (now - lastSent < DIGEST_INTERVALS[savedSearch.frequency]) continue;
+
+    const jobs = await Job.find({ _id: { $in: savedSearch.pendingJobs }, status: 'open' })
+      .sort({ createdAt: -1 })
+      .limit(25);
+
+    const user = savedSearch.userId;
+    if (jobs.length > 0 && user && user.isActive) {
+      await queueEmail('job_digest', user.email, {
+        name: user.name,
+        searchName: savedSearch.name,
+        jobCount: jobs.length,
+        jobsHtml: jobs.map(job =>
+          `<li><a href="${escapeHtml(jobUrl(job))}">${escapeHtml(job.title)}</a> (${escapeHtml(job.category)}, ₹${job.budget})</li>`
+        ).join(''),
+        jobsText: jobs.map(job => `- ${job.title} (${job.category}, ₹${job.budget}): ${jobUrl(job)}`).join('\n'),
+        unsubscribeUrl: unsubscribeUrl(savedSearch)
+      });
+      sent += 1;
+    }
+
+    savedSearch.pendingJobs = [];
+    savedSearch.lastDigestAt = new Date(now);
+    await savedSearch.save();
+  }
+
+  return sent;
+};
+
+module.exports = {
+  matchesSavedSearch,
+  matchSavedSearches,
+  sendDigests
+};
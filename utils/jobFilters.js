@@ -0,0 +1,105 @@
+// Fields the job listing returns facet counts for
+const FACET_FIELDS = ['category', 'experienceLevel', 'budgetType'];
+
+const SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  budget_high: { budget: -1, createdAt: -1 },
+  budget_low: { budget: 1, createdAt: -1 },
+  fewest_bids: { bidsCount: 1, createdAt: -1 },
+  relevance: { score: { $meta: 'textScore' }, createdAt: -1 }
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a comma separated query value (or repeated param) into a clean list
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+// Build the Mongo filter for the public job listing from query params.
+// Returns the base filter and the facetable filters separately so each facet
+// can be counted without its own selection applied.
+const buildJobQuery = (params = {}) => {
+  const base = { status: 'open' };
+  const facetFilters = {};
+
+  // Category filter
+  const categories = toList(params.category).filter(category => category !== 'all');
+  if (categories.length > 0) {
+    facetFilters.category = { $in: categories };
+  }
+
+  // Budget type and experience level filters
+  const budgetTypes = toList(params.budget_type);
+  if (budgetTypes.length > 0) {
+    facetFilters.budgetType = { $in: budgetTypes };
+  }
+
+  const levels = toList(params.experience_level);
+  if (levels.length > 0) {
+    facetFilters.experienceLevel = { $in: levels };
+  }
+
+  // Duration filter
+  const durations = toList(params.duration);
+  if (durations.length > 0) {
+    base.duration = { $in: durations };
+  }
+
+  // Budget filter
+  if (params.budget_min || params.budget_max) {
+    base.budget = {};
+    if (params.budget_min) base.budget.$gte = Number(params.budget_min);
+    if (params.budget_max) base.budget.$lte = Number(params.budget_max);
+  }
+
+  // Skills filter, matching any or all of the given skills
+  const skills = toList(params.skills);
+  if (skills.length > 0) {
+    const patterns = skills.map(skill => new RegExp(`^${escapeRegex(skill)}$`, 'i'));
+    base.skills = params.skills_match === 'all' ? { $all: patterns } : { $in: patterns };
+  }
+
+  // Search filter
+  if (params.search) {
+    base.$text = { $search: String(params.search) };
+  }
+
+  return { base, facetFilters };
+};
+
+// Resolve the sort option; relevance only applies to text searches
+const buildJobSort = (sort, hasSearch) => {
+  if (sort === 'relevance' && !hasSearch) return SORT_OPTIONS.newest;
+  return SORT_OPTIONS[sort] || SORT_OPTIONS.newest;
+};
+
+// Aggregation stage counting each facet value under the other active filters
+const buildFacetStage = (facetFilters) => {
+  const stage = {};
+
+  FACET_FIELDS.forEach(field => {
+    const otherFilters = { ...facetFilters };
+    delete otherFilters[field];
+
+    stage[field] = [
+      { $match: otherFilters },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } }
+    ];
+  });
+
+  return stage;
+};
+
+module.exports = {
+  SORT_OPTIONS,
+  escapeRegex,
+  toList,
+  buildJobQuery,
+  buildJobSort,
+  buildFacetStage
+};
@@ -0,0 +1,158 @@
+const nodemailer = require('nodemailer');
+const EmailLog = require('../models/EmailLog');
+const { renderTemplate } = require('./emailTemplates');
+
+const MAX_ATTEMPTS = Number(process.env.MAIL_MAX_ATTEMPTS || 5);
+const RETRY_BASE_MS = 60 * 1000;
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+// Build the transport from the environment. MAIL_TRANSPORT=json renders
+// messages without sending them; anything else uses SMTP, which also works
+// with a local SMTP stand-in (auth is skipped when EMAIL_USER is unset).
+const createTransport = () => {
+  if (process.env.MAIL_TRANSPORT === 'json') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port: Number(process.env.EMAIL_PORT),
+    secure: Number(process.env.EMAIL_PORT) === 465, // true for 465, false for other ports
+    auth: process.env.EMAIL_USER ? {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    } : undefined
+  });
+};
+
+let transporter;
+
+const getTransport = () => {
+  if (!transporter) {
+    transporter = createTransport();
+  }
+  return transporter;
+};
+
+// Swap the transport, e.g. for a stub in tests
+const setTransport = (transport) => {
+  transporter = transport;
+};
+
+// Variables carrying one-time secrets, such as reset and verification
+// links. They are blanked in the log once the email is sent or has failed
+// for good.
+const SECRET_VARIABLES = ['resetUrl', 'verifyUrl'];
+
+const redactSecrets = (email) => {
+  const secrets = SECRET_VARIABLES.filter(name => email.variables && email.variables[name] !== undefined);
+  if (secrets.length === 0) return;
+
+  email.variables = { ...email.variables };
+  secrets.forEach(name => {
+    email.variables[name] = '[redacted]';
+  });
+  email.markModified('variables');
+};
+
+// Try to deliver one claimed email and record the attempt
+const deliver = async (email) => {
+  const attempt = { attemptedAt: new Date() };
+
+  try {
+    const { subject, html, text } = renderTemplate(email.template, email.variables);
+    const info = await getTransport().sendMail({
+      from: process.env.MAIL_FROM || process.env.EMAIL_USER,
+      to: email.to,
+      subject,
+      html,
+      text
+    });
+
+    email.subject = subject;
+    email.status = 'sent';
+    email.sentAt = new Date();
+    attempt.success = true;
+    attempt.messageId = info.messageId;
+  } catch (error) {
+    console.error(`Email "${email.template}" to ${email.to} failed:`, error.message);
+    attempt.success = false;
+    attempt.error = error.message;
+
+    // Back off exponentially: 1, 2, 4, 8... minutes
+    const attemptsMade = email.attempts.length + 1;
+    if (attemptsMade >= MAX_ATTEMPTS) {
+      email.status = 'failed';
+    } else {
+      email.status = 'queued';
+      email.nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (attemptsMade - 1));
+    }
+  }
+
+  if (email.status !== 'queued') {
+    redactSecrets(email);
+  }
+
+  email.attempts.push(attempt);
+  email.lockedAt = undefined;
+  await email.save();
+  return email;
+};
+
+// Atomically claim the next due email so parallel workers never double-send
+const claimNext = (filter = {}) => EmailLog.findOneAndUpdate(
+  {
+    ...filter,
+    $or: [
+      { status: 'queued', nextAttemptAt: { $lte: new Date() } },
+      { status: 'sending', lockedAt: { $lte: new Date(Date.now() - STALE_LOCK_MS) } }
+    ]
+  },
+  { status: 'sending', lockedAt: new Date() },
+  { new: true, sort: { nextAttemptAt: 1 } }
+);
+
+// Send every email that is due, including retries
+const processQueue = async () => {
+  let processed = 0;
+  let email;
+
+  while ((email = await claimNext())) {
+    await deliver(email);
+    processed += 1;
+  }
+
+  return processed;
+};
+
+// Queue a templated email and try to send it right away in the background.
+// The caller never waits on SMTP; failed sends are retried by processQueue.
+const queueEmail = async (template, to, variables = {}) => {
+  try {
+    renderTemplate(template, variables);
+
+    const email = await EmailLog.create({ template, to, variables });
+
+    setImmediate(async () => {
+      try {
+        const claimed = await claimNext({ _id: email._id });
+        if (claimed) {
+          await deliver(claimed);
+        }
+      } catch (error) {
+        console.error('Email delivery error:', error);
+      }
+    });
+
+    return email;
+  } catch (error) {
+    console.error('Queue email error:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  queueEmail,
+  processQueue,
+  setTransport
+};
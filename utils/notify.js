@@ -0,0 +1,17 @@
+const Notification = require('../models/Notification');
+const { emitToRoom, userRoom } = require('./socket');
+
+// Store a notification and push it to the recipient's private room. Failures
+// are logged rather than thrown so they never break the action that caused them.
+const notify = async (userId, type, title, payload = {}) => {
+  try {
+    const notification = await Notification.create({ userId, type, title, payload });
+    emitToRoom(userRoom(userId), 'notification', notification);
+    return notification;
+  } catch (error) {
+    console.error('Create notification error:', error);
+    return null;
+  }
+};
+
+module.exports = { notify };
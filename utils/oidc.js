@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const OidcRequest = require('../models/OidcRequest');
+
+const HOUR_MS = 60 * 60 * 1000;
+const REQUEST_TTL_MS = 10 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 10 * 1000;
+
+// Only asymmetric signatures are accepted on ID tokens
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+let providers;
+
+// Providers come from OIDC_PROVIDERS, a JSON array such as
+// [{ "id": "google", "name": "Google", "issuer": "https://accounts.google.com",
+//    "clientId": "...", "clientSecret": "..." }]
+// Optional keys: scope, redirectUri, tokenEndpointAuthMethod
+// (client_secret_basic or client_secret_post), and authorizationEndpoint,
+// tokenEndpoint and jwksUri to skip discovery.
+const getProviders = () => {
+  if (!providers) {
+    const configured = JSON.parse(process.env.OIDC_PROVIDERS || '[]');
+    providers = new Map(configured
+      .filter(provider => provider.id && provider.issuer && provider.clientId)
+      .map(provider => [provider.id, {
+        name: provider.id,
+        scope: 'openid email profile',
+        tokenEndpointAuthMethod: 'client_secret_basic',
+        ...provider,
+        issuer: provider.issuer.replace(/\/+$/, '')
+      }]));
+  }
+  return providers;
+};
+
+const getProvider = (id) => getProviders().get(id) || null;
+
+const listProviders = () => Array.from(getProviders().values()).map(({ id, name }) => ({ id, name }));
+
+// The frontend receives the provider's redirect and posts the code back
+const redirectUriFor = (provider) =>
+  provider.redirectUri || `${process.env.FRONTEND_URL}/auth/oidc/${provider.id}/callback`;
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  const data = await response.json().catch(() => null);
+  if (!response.ok || !data) {
+    const reason = data && (data.error_description || data.error);
+    throw new Error(`${url} responded with ${response.status}${reason ? `: ${reason}` : ''}`);
+  }
+  return data;
+};
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+// Provider endpoints from its discovery document, cached for an hour.
+// Endpoints set in the provider config take precedence.
+const getMetadata = async (provider) => {
+  const cached = discoveryCache.get(provider.id);
+  if (cached && cached.fetchedAt > Date.now() - HOUR_MS) return cached.metadata;
+
+  let discovered = {};
+  if (!provider.authorizationEndpoint || !provider.tokenEndpoint || !provider.jwksUri) {
+    discovered = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+    if (discovered.issuer && discovered.issuer.replace(/\/+$/, '') !== provider.issuer) {
+      throw new Error(`Discovery issuer ${discovered.issuer} does not match ${provider.issuer}`);
+    }
+  }
+
+  const metadata = {
+    issuer: discovered.issuer || provider.issuer,
+    authorizationEndpoint: provider.authorizationEndpoint || discovered.authorization_endpoint,
+    tokenEndpoint: provider.tokenEndpoint || discovered.token_endpoint,
+    jwksUri: provider.jwksUri || discovered.jwks_uri
+  };
+
+  discoveryCache.set(provider.id, { metadata, fetchedAt: Date.now() });
+  return metadata;
+};
+
+// Signing keys by kid. An unknown kid refetches the set once, since
+// providers rotate keys.
+const getSigningKey = async (provider, jwksUri, kid) => {
+  const findKey = (keys) => keys.find(key => (kid ? key.kid === kid : true) && key.use !== 'enc');
+
+  const cached = jwksCache.get(provider.id);
+  let key = cached && cached.fetchedAt > Date.now() - HOUR_MS ? findKey(cached.keys) : null;
+
+  if (!key) {
+    const { keys = [] } = await fetchJson(jwksUri);
+    jwksCache.set(provider.id, { keys, fetchedAt: Date.now() });
+    key = findKey(keys);
+  }
+
+  if (!key) {
+    throw new Error(`No signing key ${kid || ''} published by ${provider.id}`);
+  }
+  return crypto.createPublicKey({ key, format: 'jwk' });
+};
+
+const base64Url = (buffer) => buffer.toString('base64url');
+const hashState = (state) => crypto.createHash('sha256').update(String(state)).digest('hex');
+
+// Record a pending login or link and build the provider's authorization URL.
+// Uses PKCE (S256) and a nonce bound to the ID token.
+const startAuthorization = async (provider, { intent, userId = null }) => {
+  const metadata = await getMetadata(provider);
+
+  const state = base64Url(crypto.randomBytes(32));
+  const nonce = base64Url(crypto.randomBytes(32));
+  const codeVerifier = base64Url(crypto.randomBytes(48));
+  const redirectUri = redirectUriFor(provider);
+
+  await OidcRequest.create({
+    stateHash: hashState(state),
+    provider: provider.id,
+    intent,
+    userId,
+    nonce,
+    codeVerifier,
+    redirectUri,
+    expiresAt: new Date(Date.now() + REQUEST_TTL_MS)
+  });
+
+  const url = new URL(metadata.authorizationEndpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scope,
+    state,
+    nonce,
+    code_challenge: base64Url(crypto.createHash('sha256').update(codeVerifier).digest()),
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return url.toString();
+};
+
+// Take the pending request for a returned `state`. Each state works once.
+const consumeRequest = (provider, state, intent) => OidcRequest.findOneAndDelete({
+  stateHash: hashState(state),
+  provider: provider.id,
+  intent,
+  expiresAt: { $gt: new Date() }
+});
+
+const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+    throw new Error('ID token is malformed or uses an unsupported algorithm');
+  }
+
+  const key = await getSigningKey(provider, metadata.jwksUri, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: [decoded.header.alg],
+    issuer: metadata.issuer,
+    audience: provider.clientId,
+    clockTolerance: 60
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match');
+  }
+  if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== provider.clientId) {
+    throw new Error('ID token was issued to another client');
+  }
+  return claims;
+};
+
+// Exchange the authorization code and verify the ID token. Returns the
+// identity the provider vouches for; throws if anything doesn't check out.
+const completeAuthorization = async (provider, request, code) => {
+  const metadata = await getMetadata(provider);
+
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: request.redirectUri,
+    code_verifier: request.codeVerifier
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+  if (provider.clientSecret && provider.tokenEndpointAuthMethod === 'client_secret_basic') {
+    const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  } else {
+    params.set('client_id', provider.clientId);
+    if (provider.clientSecret) params.set('client_secret', provider.clientSecret);
+  }
+
+  const tokens = await fetchJson(metadata.tokenEndpoint, { method: 'POST', headers, body: params });
+  if (!tokens.id_token) {
+    throw new Error(`${provider.id} did not return an ID token`);
+  }
+
+  const claims = await verifyIdToken(provider, metadata, tokens.id_token, request.nonce);
+
+  return {
+    provider: provider.id,
+    subject: String(claims.sub),
+    email: claims.email ? String(claims.email).trim().toLowerCase() : '',
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' '),
+    picture: claims.picture || ''
+  };
+};
+
+// Short-lived token carrying a verified identity that has no account yet,
+// so the user can pick a role before it is created
+const signSignupToken = (identity) =>
+  jwt.sign({ purpose: 'oidc_signup', identity }, process.env.JWT_SECRET, { expiresIn: '15m' });
+
+// Identity from a valid signup token, or null
+const verifySignupToken = (signupToken) => {
+  try {
+    const decoded = jwt.verify(signupToken, process.env.JWT_SECRET);
+    return decoded.purpose === 'oidc_signup' ? decoded.identity : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  getProvider,
+  listProviders,
+  startAuthorization,
+  consumeRequest,
+  completeAuthorization,
+  signSignupToken,
+  verifySignupToken
+};
@@ -0,0 +1,10 @@
+const { query } = require('express-validator');
+
+// Query rules for paged lists. Both values are converted to integers, so
+// handlers can use them as numbers.
+const paginationRules = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt()
+];
+
+module.exports = { paginationRules };
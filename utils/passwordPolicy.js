@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const { body } = require('express-validator');
+
+const DEFAULT_LIST = path.join(__dirname, '..', 'data', 'common-passwords.txt');
+
+const flag = (name, fallback) => {
+  const value = process.env[name];
+  return value === undefined ? fallback : value === 'true';
+};
+
+// Policy settings, read from the environment each time so tests and
+// deployments can tune them
+const policy = () => ({
+  minLength: Number(process.env.PASSWORD_MIN_LENGTH || 8),
+  maxLength: 128,
+  requireLetter: flag('PASSWORD_REQUIRE_LETTER', true),
+  requireNumber: flag('PASSWORD_REQUIRE_NUMBER', true),
+  requireUppercase: flag('PASSWORD_REQUIRE_UPPERCASE', false),
+  requireSymbol: flag('PASSWORD_REQUIRE_SYMBOL', false)
+});
+
+let commonPasswords;
+
+// Lazily load the bundled (or configured) common password list
+const getCommonPasswords = () => {
+  if (!commonPasswords) {
+    const file = process.env.COMMON_PASSWORDS_FILE || DEFAULT_LIST;
+    commonPasswords = new Set(
+      fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#'))
+    );
+  }
+  return commonPasswords;
+};
+
+// Check a password against the policy. Returns the list of problems, empty
+// when the password is acceptable. `email` and `name` catch passwords built
+// from the user's own details.
+const checkPassword = (password, { email, name } = {}) => {
+  const rules = policy();
+  const value = String(password || '');
+  const lower = value.toLowerCase();
+  const problems = [];
+
+  if (value.length < rules.minLength) {
+    problems.push(`Password must be at least ${rules.minLength} characters`);
+  }
+  if (value.length > rules.maxLength) {
+    problems.push(`Password cannot exceed ${rules.maxLength} characters`);
+  }
+  if (rules.requireLetter && !/[a-z]/i.test(value)) {
+    problems.push('Password must contain a letter');
+  }
+  if (rules.requireNumber && !/\d/.test(value)) {
+    problems.push('Password must contain a number');
+  }
+  if (rules.requireUppercase && !/[A-Z]/.test(value)) {
+    problems.push('Password must contain an uppercase letter');
+  }
+  if (rules.requireSymbol && !/[^a-z0-9]/i.test(value)) {
+    problems.push('Password must contain a symbol');
+  }
+  if (getCommonPasswords().has(lower)) {
+    problems.push('Password is too common, please choose another');
+  }
+
+  const emailName = email ? String(email).split('@')[0].toLowerCase() : '';
+  if ((emailName.length >= 3 && lower.includes(emailName)) ||
+    (name && String(name).trim().length >= 3 && lower === String(name).trim().toLowerCase())) {
+    problems.push('Password cannot be based on your name or email');
+  }
+
+  return problems;
+};
+
+// express-validator rule for a password field. `identity(req)` supplies the
+// email and name the password is checked against.
+const passwordRule = (field = 'password', identity = (req) => req.body) =>
+  body(field).custom((value, { req }) => {
+    const problems = checkPassword(value, identity(req));
+    if (problems.length > 0) {
+      throw new Error(problems.join('. '));
+    }
+    return true;
+  });
+
+module.exports = { checkPassword, passwordRule };
@@ -0,0 +1,148 @@
+const RateLimit = require('../models/RateLimit');
+
+const MINUTE_MS = 60 * 1000;
+
+// Fixed-window counters kept in process memory. Fine for a single instance;
+// counts reset when the server restarts.
+const createMemoryStore = () => {
+  const buckets = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    buckets.forEach((bucket, key) => {
+      if (bucket.resetAt <= now) buckets.delete(key);
+    });
+  }, MINUTE_MS);
+  sweep.unref();
+
+  const live = (key) => {
+    const bucket = buckets.get(key);
+    return bucket && bucket.resetAt > Date.now() ? bucket : null;
+  };
+
+  return {
+    async increment(key, windowMs) {
+      let bucket = live(key);
+      if (!bucket) {
+        bucket = { count: 0, resetAt: Date.now() + windowMs };
+        buckets.set(key, bucket);
+      }
+      bucket.count += 1;
+      return { count: bucket.count, resetAt: new Date(bucket.resetAt) };
+    },
+
+    async get(key) {
+      const bucket = live(key);
+      return bucket ? { count: bucket.count, resetAt: new Date(bucket.resetAt) } : null;
+    },
+
+    async reset(key) {
+      buckets.delete(key);
+    }
+  };
+};
+
+// Fixed-window counters in MongoDB, shared by every server instance
+const createMongoStore = () => ({
+  async increment(key, windowMs) {
+    const now = new Date();
+
+    // Single atomic update: bump a live window or start a new one
+    const bucket = await RateLimit.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          count: { $cond: [{ $gt: ['$resetAt', now] }, { $add: ['$count', 1] }, 1] },
+          resetAt: { $cond: [{ $gt: ['$resetAt', now] }, '$resetAt', new Date(now.getTime() + windowMs)] }
+        }
+      }],
+      { upsert: true, new: true }
+    );
+
+    return { count: bucket.count, resetAt: bucket.resetAt };
+  },
+
+  async get(key) {
+    const bucket = await RateLimit.findOne({ key, resetAt: { $gt: new Date() } });
+    return bucket ? { count: bucket.count, resetAt: bucket.resetAt } : null;
+  },
+
+  async reset(key) {
+    await RateLimit.deleteOne({ key });
+  }
+});
+
+const store = process.env.RATE_LIMIT_STORE === 'mongo' ? createMongoStore() : createMemoryStore();
+
+const secondsUntil = (date) => Math.max(Math.ceil((date.getTime() - Date.now()) / 1000), 1);
+
+const tooManyRequests = (res, resetAt, message) => {
+  res.set('Retry-After', String(secondsUntil(resetAt)));
+  return res.status(429).json({ message });
+};
+
+// Middleware allowing `max` requests per `windowMs` for each bucket that
+// `key(req)` returns. A null key skips the limit. Store failures let the
+// request through rather than locking everyone out.
+const rateLimit = ({ name, windowMs, max, key, message = 'Too many requests, please try again later' }) =>
+  async (req, res, next) => {
+    try {
+      const bucketKey = key(req);
+      if (!bucketKey) return next();
+
+      const { count, resetAt } = await store.increment(`${name}:${bucketKey}`, windowMs);
+      if (count > max) {
+        return tooManyRequests(res, resetAt, message);
+      }
+    } catch (error) {
+      console.error(`Rate limit "${name}" error:`, error);
+    }
+    next();
+  };
+
+// Common bucket keys
+const byIp = (req) => `ip:${req.ip}`;
+const byUser = (req) => (req.user ? `user:${req.user._id}` : null);
+
+// Progressive lockout for one account: after LOGIN_LOCK_THRESHOLD failures
+// in a day every further failure locks the account for twice as long,
+// starting at one minute and capped at an hour
+const LOGIN_FAILURE_WINDOW_MS = 24 * 60 * MINUTE_MS;
+const LOGIN_LOCK_THRESHOLD = Number(process.env.LOGIN_LOCK_THRESHOLD || 5);
+const LOGIN_LOCK_MAX_MS = 60 * MINUTE_MS;
+
+const accountKey = (email) => String(email || '').trim().toLowerCase();
+
+const lockDuration = (failures) =>
+  Math.min(MINUTE_MS * 2 ** (failures - LOGIN_LOCK_THRESHOLD), LOGIN_LOCK_MAX_MS);
+
+// Returns the time the account unlocks, or null if it isn't locked
+const loginLockedUntil = async (email) => {
+  const lock = await store.get(`login-lock:${accountKey(email)}`);
+  return lock ? lock.resetAt : null;
+};
+
+// Count a failed login and lock the account once over the threshold.
+// Returns the time the account unlocks, or null.
+const recordLoginFailure = async (email) => {
+  const { count } = await store.increment(`login-fail:${accountKey(email)}`, LOGIN_FAILURE_WINDOW_MS);
+  if (count < LOGIN_LOCK_THRESHOLD) return null;
+
+  const lock = await store.increment(`login-lock:${accountKey(email)}`, lockDuration(count));
+  return lock.resetAt;
+};
+
+const clearLoginFailures = async (email) => {
+  await store.reset(`login-fail:${accountKey(email)}`);
+  await store.reset(`login-lock:${accountKey(email)}`);
+};
+
+module.exports = {
+  rateLimit,
+  byIp,
+  byUser,
+  tooManyRequests,
+  loginLockedUntil,
+  recordLoginFailure,
+  clearLoginFailures
+};
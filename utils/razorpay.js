@@ -0,0 +1,9 @@
+const Razorpay = require('razorpay');
+
+// Shared Razorpay client for orders and refunds
+const razorpay = new Razorpay({
+  key_id: process.env.RAZORPAY_KEY_ID,
+  key_secret: process.env.RAZORPAY_KEY_SECRET
+});
+
+module.exports = razorpay;
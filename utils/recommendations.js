@@ -0,0 +1,134 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LEVELS = ['entry', 'intermediate', 'expert'];
+
+// How much each signal contributes to the final 0-100 score
+const WEIGHTS = {
+  skills: 0.45,
+  budget: 0.2,
+  experience: 0.15,
+  recency: 0.1,
+  category: 0.1
+};
+
+// Completed jobs needed before a freelancer counts as intermediate or expert
+const inferLevel = (completedJobs) => {
+  if (completedJobs >= 10) return 'expert';
+  if (completedJobs >= 3) return 'intermediate';
+  return 'entry';
+};
+
+const scoreSkills = (job, profile) => {
+  const jobSkills = (job.skills || []).map(skill => skill.trim()).filter(Boolean);
+  if (jobSkills.length === 0) {
+    return { value: 0.5 };
+  }
+
+  const matched = jobSkills.filter(skill => profile.skills.has(skill.toLowerCase()));
+  if (matched.length === 0) {
+    return { value: 0 };
+  }
+
+  return {
+    value: matched.length / jobSkills.length,
+    reason: `Matches ${matched.length} of ${jobSkills.length} required skills: ${matched.join(', ')}`
+  };
+};
+
+const scoreExperience = (job, profile) => {
+  const gap = LEVELS.indexOf(profile.level) - LEVELS.indexOf(job.experienceLevel || 'intermediate');
+
+  if (gap === 0) {
+    return { value: 1, reason: `Suited to your ${profile.level} experience level` };
+  }
+
+  // Over-qualified is a fine fit; under-qualified drops off quickly
+  if (gap > 0) {
+    return { value: 0.7 };
+  }
+  return { value: gap === -1 ? 0.4 : 0 };
+};
+
+const scoreBudget = (job, profile) => {
+  if (job.budgetType === 'hourly') {
+    if (!profile.hourlyRate) return { value: 0.5 };
+
+    const ratio = job.budget / profile.hourlyRate;
+    if (ratio >= 1) {
+      return { value: 1, reason: `Hourly budget ₹${job.budget} meets your ₹${profile.hourlyRate} rate` };
+    }
+    return { value: ratio };
+  }
+
+  if (!profile.averageBid) return { value: 0.5 };
+
+  const ratio = job.budget / profile.averageBid;
+  if (ratio >= 1) {
+    return { value: 1, reason: `Budget ₹${job.budget} is in line with your usual bids` };
+  }
+  return { value: ratio };
+};
+
+const scoreRecency = (job, now) => {
+  const ageDays = Math.max(now - new Date(job.createdAt).getTime(), 0) / DAY_MS;
+  const value = Math.exp(-ageDays / 14);
+
+  if (ageDays < 1) {
+    return { value, reason: 'Posted in the last 24 hours' };
+  }
+  return { value };
+};
+
+const scoreCategory = (job, profile) => {
+  if (profile.categories.has(job.category)) {
+    return { value: 1, reason: `You have bid on ${job.category} jobs before` };
+  }
+  return { value: 0 };
+};
+
+// Build the matching profile from the freelancer and their bidding history
+const buildProfile = (user, { pastJobs = [], bidAmounts = [], completedJobs = 0 }) => ({
+  skills: new Set((user.skills || []).map(skill => skill.trim().toLowerCase())),
+  hourlyRate: user.hourlyRate || 0,
+  categories: new Set(pastJobs.map(job => job.category)),
+  averageBid: bidAmounts.length > 0
+    ? bidAmounts.reduce((sum, amount) => sum + amount, 0) / bidAmounts.length
+    : 0,
+  level: inferLevel(completedJobs)
+});
+
+// Score one job for a profile. Returns a 0-100 score and the reasons that
+// contributed to it, strongest first.
+const scoreJob = (job, profile, now = Date.now()) => {
+  const signals = {
+    skills: scoreSkills(job, profile),
+    budget: scoreBudget(job, profile),
+    experience: scoreExperience(job, profile),
+    recency: scoreRecency(job, now),
+    category: scoreCategory(job, profile)
+  };
+
+  const weighted = Object.entries(signals).map(([name, signal]) => ({
+    points: signal.value * WEIGHTS[name],
+    reason: signal.reason
+  }));
+
+  return {
+    score: Math.round(weighted.reduce((sum, item) => sum + item.points, 0) * 100),
+    reasons: weighted
+      .filter(item => item.reason)
+      .sort((a, b) => b.points - a.points)
+      .map(item => item.reason)
+  };
+};
+
+// Rank jobs for a profile, best match first
+const rankJobs = (jobs, profile) => {
+  const now = Date.now();
+
+  return jobs
+    .map(job => ({ job, ...scoreJob(job, profile, now) }))
+    .sort((a, b) => b.score - a.score);
+};
+
+module.exports = { buildProfile, rankJobs };
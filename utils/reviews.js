@@ -0,0 +1,57 @@
+const Review = require('../models/Review');
+const User = require('../models/User');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Last moment reviews can be submitted for a completed job; any review still
+// hidden at that point is revealed
+const reviewDeadline = (job) => {
+  const completedAt = job.completedAt || job.updatedAt;
+  return new Date(completedAt.getTime() + Number(process.env.REVIEW_WINDOW_DAYS || 14) * DAY_MS);
+};
+
+// Recalculate a user's average rating and count from revealed reviews
+const updateUserRating = async (userId) => {
+  const [stats] = await Review.aggregate([
+    { $match: { revieweeId: userId, revealed: true } },
+    { $group: { _id: null, rating: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  await User.findByIdAndUpdate(userId, {
+    rating: stats ? Math.round(stats.rating * 10) / 10 : 0,
+    reviewCount: stats ? stats.count : 0
+  });
+};
+
+// Reveal every hidden review on a job and refresh the reviewees' ratings
+const revealReviews = async (jobId) => {
+  const hidden = await Review.find({ jobId, revealed: false });
+  if (hidden.length === 0) return;
+
+  await Review.updateMany(
+    { _id: { $in: hidden.map(review => review._id) } },
+    { revealed: true, revealedAt: new Date() }
+  );
+
+  await Promise.all(hidden.map(review => updateUserRating(review.revieweeId)));
+};
+
+// Reveal reviews whose deadline passed without the other party responding
+const revealDueReviews = async () => {
+  const jobIds = await Review.distinct('jobId', {
+    revealed: false,
+    revealAt: { $lte: new Date() }
+  });
+
+  for (const jobId of jobIds) {
+    await revealReviews(jobId);
+  }
+
+  return jobIds.length;
+};
+
+module.exports = {
+  reviewDeadline,
+  revealReviews,
+  revealDueReviews
+};
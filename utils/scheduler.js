@@ -0,0 +1,17 @@
+// Run a background task on a fixed interval. Failures are logged so one bad
+// run never stops later ones, and the timer does not keep the process alive.
+const schedule = (name, intervalMs, task) => {
+  const run = async () => {
+    try {
+      await task();
+    } catch (error) {
+      console.error(`Scheduled task "${name}" error:`, error);
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { schedule };
@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const socketIo = require('socket.io');
+const Job = require('../models/Job');
+const Conversation = require('../models/Conversation');
+const { authenticateToken } = require('../middleware/auth');
+const { checkMessage, saveMessage } = require('./chat');
+
+let io;
+
+// Room names. Every socket joins its own user room on connect.
+const userRoom = (userId) => `user:${userId}`;
+const jobRoom = (jobId) => `job:${jobId}`;
+const conversationRoom = (conversationId) => `conversation:${conversationId}`;
+// Sockets opened with one signed-in session, so revoking it can drop them
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+// Check whether a user may join a room. Job rooms are limited to the job
+// creator and the assigned freelancer, conversation rooms to the two
+// participants, and user rooms to their owner.
+const canJoinRoom = async (user, roomId) => {
+  const [type, id] = String(roomId).split(':');
+  const userId = user._id.toString();
+
+  if (!id || (type !== 'user' && !mongoose.isValidObjectId(id))) {
+    return false;
+  }
+
+  switch (type) {
+    case 'user':
+      return id === userId;
+
+    case 'job': {
+      const job = await Job.findById(id).select('createdBy assignedTo');
+      return Boolean(job) && (
+        job.createdBy.toString() === userId ||
+        (job.assignedTo && job.assignedTo.toString() === userId)
+      );
+    }
+
+    case 'conversation': {
+      const conversation = await Conversation.findById(id);
+      return Boolean(conversation) && conversation.isParticipant(userId);
+    }
+
+    default:
+      return false;
+  }
+};
+
+// Authenticate the handshake with the same JWT the REST API uses
+const authenticateSocket = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token ||
+      socket.handshake.headers.authorization?.replace('Bearer ', '');
+
+    if (!token) {
+      return next(new Error('No token provided, authorization denied'));
+    }
+
+    const authenticated = await authenticateToken(token);
+    if (!authenticated) {
+      return next(new Error('Token is not valid'));
+    }
+
+    const { user, session } = authenticated;
+
+    if (!user.isActive) {
+      return next(new Error('Account is deactivated'));
+    }
+
+    socket.user = user;
+    socket.sessionId = session._id.toString();
+    next();
+  } catch (error) {
+    next(new Error('Token is not valid'));
+  }
+};
+
+// Attach Socket.io to the HTTP server and register the chat handlers
+const initSocket = (server) => {
+  io = socketIo(server, {
+    cors: {
+      origin: process.env.NODE_ENV === 'production' ? false : "http://localhost:5173",
+      methods: ["GET", "POST"]
+    }
+  });
+
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    console.log('User connected:', socket.id);
+
+    const userId = socket.user._id.toString();
+    socket.join([userRoom(userId), sessionRoom(socket.sessionId)]);
+
+    socket.on('join-room', async (roomId) => {
+      try {
+        if (!(await canJoinRoom(socket.user, roomId))) {
+          return socket.emit('room-error', { roomId, message: 'Not authorized to join this room' });
+        }
+
+        socket.join(roomId);
+        socket.emit('room-joined', { roomId });
+      } catch (error) {
+        console.error('Join room error:', error);
+        socket.emit('room-error', { roomId, message: 'Server error joining room' });
+      }
+    });
+
+    socket.on('leave-room', (roomId) => {
+      socket.leave(roomId);
+    });
+
+    socket.on('send-message', async (data = {}) => {
+      const { roomId } = data;
+
+      try {
+        if (!roomId || !socket.rooms.has(roomId)) {
+          return socket.emit('message-error', { roomId, message: 'Join the room before sending messages' });
+        }
+
+        const invalid = await checkMessage(data);
+        if (invalid) {
+          return socket.emit('message-error', { roomId, message: invalid });
+        }
+
+        const [type, id] = roomId.split(':');
+
+        // Conversation messages are stored; other rooms only relay
+        if (type === 'conversation') {
+          const conversation = await Conversation.findById(id);
+          if (!conversation || !conversation.isParticipant(userId)) {
+            return socket.emit('message-error', { roomId, message: 'Not authorized to post in this conversation' });
+          }
+
+          const message = await saveMessage(conversation, userId, data);
+          if (!message) {
+            return socket.emit('message-error', { roomId, message: 'Message must include text or attachments' });
+          }
+
+          return io.to(roomId).emit('receive-message', message);
+        }
+
+        if (type !== 'job') {
+          return socket.emit('message-error', { roomId, message: 'Messages cannot be sent to this room' });
+        }
+
+        socket.to(roomId).emit('receive-message', {
+          ...data,
+          senderId: userId,
+          createdAt: new Date()
+        });
+      } catch (error) {
+        console.error('Socket send message error:', error);
+        socket.emit('message-error', { roomId, message: 'Server error sending message' });
+      }
+    });
+
+    socket.on('disconnect', () => {
+      console.log('User disconnected:', socket.id);
+    });
+  });
+
+  return io;
+};
+
+// Emit to a room if the socket server is running
+const emitToRoom = (room, event, payload) => {
+  if (io) {
+    io.to(room).emit(event, payload);
+  }
+};
+
+// Drop every open connection of a user, e.g. once their account is
+// deactivated, optionally sparing the connections of one session
+const disconnectUser = (userId, exceptSessionId = null) => {
+  if (io) {
+    const sockets = io.in(userRoom(userId));
+    (exceptSessionId ? sockets.except(sessionRoom(exceptSessionId)) : sockets).disconnectSockets(true);
+  }
+};
+
+// Drop the connections opened with a session once it is revoked
+const disconnectSession = (sessionId) => {
+  if (io) {
+    io.in(sessionRoom(sessionId)).disconnectSockets(true);
+  }
+};
+
+module.exports = {
+  initSocket,
+  canJoinRoom,
+  authenticateSocket,
+  emitToRoom,
+  disconnectUser,
+  disconnectSession,
+  userRoom,
+  jobRoom,
+  conversationRoom
+};
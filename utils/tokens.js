@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const accessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+const refreshTokenMs = () => Number(process.env.REFRESH_TOKEN_DAYS || 30) * DAY_MS;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Short-lived JWT tied to a session through the `sid` claim
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ userId, sid: sessionId.toString() }, process.env.JWT_SECRET, { expiresIn: accessTokenTtl() });
+
+// Refresh tokens are "<session id>.<random secret>"; only a hash of the
+// secret is stored
+const newRefreshSecret = () => crypto.randomBytes(48).toString('hex');
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) return {};
+  return { sessionId, secret };
+};
+
+// Rough "Browser on OS" label for the sessions list
+const describeDevice = (userAgent = '') => {
+  const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+  const systems = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+
+  const browser = browsers.find(([marker]) => userAgent.includes(marker));
+  const system = systems.find(([marker]) => userAgent.includes(marker));
+
+  if (!browser && !system) return 'Unknown device';
+  return [browser && browser[1], system && `on ${system[1]}`].filter(Boolean).join(' ');
+};
+
+const tokenPair = (session, secret) => ({
+  token: signAccessToken(session.userId, session._id),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: accessTokenTtl()
+});
+
+// Start a session for a user signing in from this request. `mfa` marks a
+// sign-in that passed two-factor authentication.
+const createSession = async (userId, req, { mfa = false } = {}) => {
+  const secret = newRefreshSecret();
+  const userAgent = req.get('User-Agent') || '';
+
+  const session = await Session.create({
+    userId,
+    refreshTokenHash: hashToken(secret),
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip,
+    mfa,
+    expiresAt: new Date(Date.now() + refreshTokenMs())
+  });
+
+  return { session, ...tokenPair(session, secret) };
+};
+
+// Exchange a refresh token for a new token pair. Returns null if the token
+// is unknown, expired or revoked. Presenting an already rotated token means
+// it was copied, so the whole session is revoked.
+const rotateRefreshToken = async (refreshToken, req) => {
+  const { sessionId, secret } = parseRefreshToken(refreshToken);
+  if (!sessionId) return null;
+
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive()) return null;
+
+  const presentedHash = hashToken(secret);
+
+  if (session.previousTokenHash === presentedHash) {
+    session.revokedAt = new Date();
+    session.revokedReason = 'token_reuse';
+    await session.save();
+    return null;
+  }
+
+  if (session.refreshTokenHash !== presentedHash) return null;
+
+  const nextSecret = newRefreshSecret();
+  session.previousTokenHash = session.refreshTokenHash;
+  session.refreshTokenHash = hashToken(nextSecret);
+  session.lastUsedAt = new Date();
+  session.ip = req.ip;
+  session.expiresAt = new Date(Date.now() + refreshTokenMs());
+  await session.save();
+
+  return { session, ...tokenPair(session, nextSecret) };
+};
+
+// Short-lived token proving the password step of a two-factor login. It has
+// no session, so it can't be used as an access token.
+const signTwoFactorChallenge = (userId) =>
+  jwt.sign({ userId, purpose: 'two_factor' }, process.env.JWT_SECRET, { expiresIn: '5m' });
+
+// User id from a valid challenge token, or null
+const verifyTwoFactorChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    return decoded.purpose === 'two_factor' ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Load the session behind an access token if it is still live
+const getActiveSession = async (sessionId) => {
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) return null;
+
+  const session = await Session.findById(sessionId).select('userId mfa revokedAt expiresAt');
+  return session && session.isActive() ? session : null;
+};
+
+const revokeSession = (userId, sessionId, reason) => Session.updateOne(
+  { _id: sessionId, userId, revokedAt: null },
+  { revokedAt: new Date(), revokedReason: reason }
+);
+
+// Revoke every live session of a user, optionally keeping the current one
+const revokeAllSessions = (userId, reason, exceptSessionId = null) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  return Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  getActiveSession,
+  revokeSession,
+  revokeAllSessions
+};